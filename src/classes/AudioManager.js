@@ -10,22 +10,38 @@ export class AudioManager {
 
     this.audioLoader = new THREE.AudioLoader();
     this.sounds = {};
+    this.baseVolume = 0.7;
+    // Volume (0-1) de cada categoria de som, vindo das configurações
+    this.volumes = { music: 1, effects: 1 };
     this.lastWalkTime = 0;
     this.walkInterval = 400;
   }
 
-  loadSound(name, path) {
+  loadSound(name, path, category = 'effects') {
     return new Promise((resolve) => {
       this.audioLoader.load(path, (audioBuffer) => {
         const sound = new THREE.Audio(this.listener);
         sound.setBuffer(audioBuffer);
-        sound.setVolume(0.7);
+        sound.userData.category = category;
+        sound.setVolume(this.baseVolume * this.volumes[category]);
         this.sounds[name] = sound;
         resolve(sound);
       });
     });
   }
 
+  /**
+   * Aplica os volumes das configurações (0-100).
+   */
+  setVolumes({ volumeGeral = 70, volumeMusica = 60, volumeEfeitos = 80 }) {
+    this.listener.setMasterVolume(volumeGeral / 100);
+    this.volumes = { music: volumeMusica / 100, effects: volumeEfeitos / 100 };
+
+    for (const sound of Object.values(this.sounds)) {
+      sound.setVolume(this.baseVolume * this.volumes[sound.userData.category]);
+    }
+  }
+
   playWalkSound() {
     const now = Date.now();
     if (now - this.lastWalkTime < this.walkInterval) {
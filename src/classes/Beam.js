@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+import { enableBloom } from './PostProcessing.js';
+
+/**
+ * Classe Beam
+ * Efeito persistente de feitiço canalizado (ex: Jato de Água).
+ * Permanece ativo enquanto for sustentado, faz raycast a partir da câmera
+ * a cada frame e aplica efeitos em "ticks" no primeiro inimigo atingido.
+ * Barreiras bloqueiam o feixe, como bloqueiam os projéteis.
+ */
+export class Beam {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {object} spell - Definição do feitiço (com bloco `beam`).
+   * @param {number} intensity - Intensidade da conjuração.
+   * @param {object} handlers - Integração com o jogo:
+   *   getOrigin(): {origin, direction}, getTargets(): Enemy[], getBarriers(): [{mesh}],
+   *   consumeResource(amount): boolean, onHit(enemy, direction, seconds), onSpray(point)
+   */
+  constructor(scene, spell, intensity, handlers) {
+    this.scene = scene;
+    this.spell = spell;
+    this.type = spell.id;
+    this.handlers = handlers;
+    this.config = spell.beam;
+
+    this.intensity = Math.max(0.3, Math.min(2.0, intensity));
+    this.sustainRemaining = 0; // Segundos até o canal encerrar (conta só com o jogo rodando)
+    this.tickTimer = 0;
+    // Posição no início do último passo de simulação (interpolação na renderização)
+    this.previousPosition = null;
+    this.raycaster = new THREE.Raycaster();
+    this.sustain();
+
+    // Cilindro unitário ao longo de +Z; o comprimento é aplicado via escala
+    const geometry = new THREE.CylinderGeometry(this.config.width, this.config.width * 0.6, 1, 8, 1, true);
+    geometry.rotateX(Math.PI / 2);
+    geometry.translate(0, 0, 0.5);
+
+    this.mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      color: this.config.color,
+      transparent: true,
+      opacity: 0.6,
+      depthWrite: false
+    }));
+    enableBloom(this.mesh);
+    this.scene.add(this.mesh);
+  }
+
+  /**
+   * Mantém o canal ativo por mais `config.sustain` milissegundos.
+   */
+  sustain() {
+    this.sustainRemaining = this.config.sustain / 1000;
+  }
+
+  /**
+   * @returns {boolean} false quando o canal deve ser encerrado.
+   */
+  update(deltaTime) {
+    this.sustainRemaining -= deltaTime;
+    if (this.sustainRemaining < 0) return false;
+    if (!this.handlers.consumeResource(this.config.costPerSecond * deltaTime)) return false;
+
+    const { origin, direction } = this.handlers.getOrigin();
+    const hit = this.raycast(origin, direction);
+    const length = hit ? hit.distance : this.getGroundDistance(origin, direction);
+
+    this.previousPosition = this.previousPosition ? this.previousPosition.copy(this.mesh.position) : origin.clone();
+    this.mesh.position.copy(origin);
+    this.mesh.lookAt(origin.clone().add(direction));
+    this.mesh.scale.set(1, 1, length);
+
+    const endPoint = origin.clone().add(direction.clone().multiplyScalar(length));
+    this.handlers.onSpray?.(endPoint);
+
+    this.tickTimer += deltaTime;
+    const tickSeconds = this.config.tickInterval / 1000;
+    if (this.tickTimer >= tickSeconds) {
+      this.tickTimer -= tickSeconds;
+      if (hit?.enemy) this.handlers.onHit(hit.enemy, direction.clone(), tickSeconds * this.intensity);
+    }
+
+    return true;
+  }
+
+  /**
+   * Primeiro obstáculo na linha do feixe, dentro do alcance.
+   * @returns {{enemy: Enemy|null, distance: number}|null} enemy é null se uma barreira vem antes.
+   */
+  raycast(origin, direction) {
+    const targets = this.handlers.getTargets().filter(e => e.isAlive() && e.mesh);
+    const barriers = (this.handlers.getBarriers?.() || []).filter(b => b.mesh).map(b => b.mesh);
+    if (targets.length === 0 && barriers.length === 0) return null;
+
+    this.raycaster.set(origin, direction);
+    this.raycaster.far = this.config.range;
+
+    // Ordenado pela distância: o mais próximo (inimigo ou barreira) para o feixe
+    const intersections = this.raycaster.intersectObjects([...targets.map(e => e.mesh), ...barriers], false);
+    if (intersections.length === 0) return null;
+
+    const first = intersections[0];
+    const enemy = targets.find(e => e.mesh === first.object) || null;
+    return { enemy, distance: first.distance };
+  }
+
+  // Distância até o chão (y = 0) limitada ao alcance do feixe
+  getGroundDistance(origin, direction) {
+    if (direction.y < 0) {
+      return Math.min(this.config.range, -origin.y / direction.y);
+    }
+    return this.config.range;
+  }
+
+  dispose() {
+    if (this.mesh) {
+      this.scene.remove(this.mesh);
+      this.mesh.geometry.dispose();
+      this.mesh.material.dispose();
+      this.mesh = null;
+    }
+  }
+}
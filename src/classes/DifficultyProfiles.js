@@ -0,0 +1,73 @@
+/**
+ * DifficultyProfiles - Perfis de dificuldade da partida
+ * Cada perfil ajusta as hordas (tamanho, chefe, descanso), os inimigos
+ * (vida, velocidade, dano), a recarga dos feitiços e a vida do jogador.
+ * O perfil "normal" reproduz os valores originais do jogo.
+ * `regeneration: false` (só no Lendário) desliga a regeneração de mana e toda cura.
+ */
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+export const difficultyProfiles = {
+  facil: {
+    label: 'Fácil',
+    waveSize: { base: 4, perHorde: 1.5 },  // Inimigos por horda: base + horda × perHorde
+    bossEvery: 5,                          // Horda do Necromante (múltiplos)
+    maxActiveEnemies: 10,
+    restTime: 8.0,                         // Segundos de descanso entre hordas
+    restHeal: 0.5,                         // Fração da vida recuperada ao fim de cada horda (só no Fácil)
+    regeneration: true,                    // Mana regenera e feitiços de cura funcionam
+    enemy: { hp: 0.7, speed: 0.85, damage: 0.6 },
+    bossSummonInterval: 10.0,
+    spellCooldown: 0.8,
+    playerMaxHP: 150
+  },
+  normal: {
+    label: 'Normal',
+    waveSize: { base: 5, perHorde: 2 },
+    bossEvery: 5,
+    maxActiveEnemies: 15,
+    restTime: 5.0,
+    restHeal: 0,
+    regeneration: true,
+    enemy: { hp: 1.0, speed: 1.0, damage: 1.0 },
+    bossSummonInterval: 8.0,
+    spellCooldown: 1.0,
+    playerMaxHP: 100
+  },
+  dificil: {
+    label: 'Difícil',
+    waveSize: { base: 6, perHorde: 2.5 },
+    bossEvery: 5,
+    maxActiveEnemies: 20,
+    restTime: 4.0,
+    restHeal: 0,
+    regeneration: true,
+    enemy: { hp: 1.4, speed: 1.15, damage: 1.4 },
+    bossSummonInterval: 6.5,
+    spellCooldown: 1.15,
+    playerMaxHP: 80
+  },
+  // Sem regeneração: a mana só volta ao fim de cada horda e nenhuma cura funciona
+  // (nem o Rejuvenescer). O Necromante vem a cada 4 hordas e invoca clones bem mais rápido
+  lendario: {
+    label: 'Lendário',
+    waveSize: { base: 8, perHorde: 3 },
+    bossEvery: 4,
+    maxActiveEnemies: 25,
+    restTime: 3.0,
+    restHeal: 0,
+    regeneration: false,
+    enemy: { hp: 1.8, speed: 1.3, damage: 1.8 },
+    bossSummonInterval: 4.0,
+    spellCooldown: 1.3,
+    playerMaxHP: 60
+  }
+};
+
+/**
+ * Perfil da dificuldade (ou o padrão, se não existir).
+ */
+export function getDifficultyProfile(id) {
+  return difficultyProfiles[id] || difficultyProfiles[DEFAULT_DIFFICULTY];
+}
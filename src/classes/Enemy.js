@@ -1,4 +1,21 @@
 import * as THREE from 'three';
+import { StatusEffects } from './StatusEffects.js';
+import { enableBloom } from './PostProcessing.js';
+
+// Configurações padrão (sobrescritas pelo config de cada spawn)
+export const DEFAULT_ENEMY_CONFIG = {
+    type: 'normal',
+    hp: 30,
+    speed: 3.5,          // Velocidade de perseguição
+    patrolSpeed: 1.5,    // Velocidade de patrulha
+    damage: 10,
+    scale: 1.2,
+    color: 0xff0000,
+    detectionRadius: 35.0, // Raio para detecção do jogador
+    summonInterval: 8.0,   // Segundos entre invocações (apenas Boss)
+    isMiniBoss: false,
+    isBoss: false
+};
 
 /**
  * Classe Enemy
@@ -14,16 +31,7 @@ export class Enemy {
     
     // Configurações padrão com merge das configurações recebidas
     this.config = {
-        type: 'normal',
-        hp: 30,
-        speed: 3.5,          // Velocidade de perseguição
-        patrolSpeed: 1.5,    // Velocidade de patrulha
-        damage: 10,
-        scale: 1.2,
-        color: 0xff0000,
-        detectionRadius: 35.0, // Raio para detecção do jogador
-        isMiniBoss: false,
-        isBoss: false,
+        ...DEFAULT_ENEMY_CONFIG,
         ...config 
     };
 
@@ -36,7 +44,7 @@ export class Enemy {
     // Parâmetros de Combate
     this.attackRange = 2.5 * this.config.scale; 
     this.attackCooldown = 1500;
-    this.lastAttackTime = 0;
+    this.lastAttackTime = -Infinity; // Tempo do mundo (GameClock), em ms
     
     // Variáveis de Controle de Patrulha
     this.patrolTarget = null;
@@ -45,7 +53,14 @@ export class Enemy {
 
     // Variáveis de Controle do Boss
     this.summonTimer = 0;
-    this.summonInterval = 8.0;
+    this.summonInterval = this.config.summonInterval;
+
+    // Efeitos de status (queimando, resfriado, congelado...)
+    this.statusEffects = new StatusEffects(this);
+    this.statusEffects.onChange = () => this.refreshStatusVisuals();
+    this.burnDamageMultiplier = this.config.isBoss ? 0.3 : 1.0; // Bosses resistem ao fogo
+    this.freezeThreshold = this.config.isBoss ? 8 : 4;           // Acúmulos de lentidão até congelar
+    this.iceOverlay = null;
 
     // Física e Posição
     this.position = position.clone();
@@ -57,9 +72,11 @@ export class Enemy {
     this.collisionRadius = 1.2 * this.config.scale;
     this.friction = 4.0; // Resistência para desacelerar o knockback
     
-    this.activeTimeouts = [];
+    this.activeTimeouts = []; // Ids de funções agendadas no GameClock
     this.mesh = null;
     this.createMesh();
+    // Posição da malha no início do último passo de simulação (interpolação na renderização)
+    this.previousPosition = this.mesh.position.clone();
   }
 
   /**
@@ -96,6 +113,8 @@ export class Enemy {
     this.mesh.scale.setScalar(this.config.scale);
 
     if (this.config.isMiniBoss) this.addCrown();
+    // O Necromante brilha por inteiro; mini-bosses só na coroa
+    if (this.config.isBoss) enableBloom(this.mesh);
     this.scene.add(this.mesh);
   }
 
@@ -115,6 +134,7 @@ export class Enemy {
       // Posiciona acima da altura total da geometria base
       const headHeight = 2.5; 
       this.crown.position.y = headHeight + 0.8; 
+      enableBloom(this.crown);
       this.mesh.add(this.crown);
   }
 
@@ -124,6 +144,7 @@ export class Enemy {
    */
   update(dt) {
     if (this.isDead || !this.mesh) return;
+    this.previousPosition.copy(this.mesh.position);
 
     // Habilidade passiva do Boss: Invocação de minions
     if (this.config.isBoss) {
@@ -137,7 +158,17 @@ export class Enemy {
     // Animação da Coroa
     if (this.crown) {
         this.crown.rotation.y += 3 * dt;
-        this.crown.position.y = (2.5) + 0.8 + Math.sin(Date.now() * 0.005) * 0.2;
+        this.crown.position.y = (2.5) + 0.8 + Math.sin(this.enemyManager.clock.now() * 0.005) * 0.2;
+    }
+
+    // Efeitos de status (dano contínuo pode matar o inimigo)
+    this.statusEffects.update(dt);
+    if (this.isDead) return;
+
+    // Congelado/incapacitado: fica parado no lugar, sem IA
+    if (!this.statusEffects.canAct()) {
+        this.mesh.position.copy(this.position);
+        return;
     }
 
     // Máquina de Estados da IA
@@ -186,8 +217,9 @@ export class Enemy {
       if (!this.patrolTarget || this.position.distanceTo(this.patrolTarget) < 1.0) {
           this.pickNewPatrolPoint();
           // Chance de 30% de entrar em estado Idle
-          if (Math.random() < 0.3) {
-              this.idleTimer = 2.0 + Math.random() * 2.0;
+          const random = this.enemyManager.random.gameplay;
+          if (random.chance(0.3)) {
+              this.idleTimer = random.range(2.0, 4.0);
               return;
           }
       }
@@ -199,7 +231,7 @@ export class Enemy {
           this.patrolTarget.z - this.position.z
       ).normalize();
 
-      this.position.add(direction.multiplyScalar(this.config.patrolSpeed * dt));
+      this.position.add(direction.multiplyScalar(this.config.patrolSpeed * this.getSpeedMultiplier() * dt));
       
       const lookPos = new THREE.Vector3(this.patrolTarget.x, this.position.y, this.patrolTarget.z);
       this.mesh.lookAt(lookPos);
@@ -207,8 +239,9 @@ export class Enemy {
 
   pickNewPatrolPoint() {
       // Gera coordenada aleatória dentro dos limites da arena (~90 unidades)
-      const x = (Math.random() - 0.5) * 90; 
-      const z = (Math.random() - 0.5) * 90;
+      const random = this.enemyManager.random.gameplay;
+      const x = (random.next() - 0.5) * 90; 
+      const z = (random.next() - 0.5) * 90;
       this.patrolTarget = new THREE.Vector3(x, this.position.y, z);
   }
 
@@ -240,7 +273,7 @@ export class Enemy {
     
     // Movimento (apenas se não estiver sofrendo knockback forte)
     if (this.pushForce.length() < 1.0) {
-        this.position.add(direction.multiplyScalar(this.config.speed * dt));
+        this.position.add(direction.multiplyScalar(this.config.speed * this.getSpeedMultiplier() * dt));
         
         // Evita rotação instável (jitter) quando muito próximo ao alvo
         if (dist > 1.0) {
@@ -267,7 +300,7 @@ export class Enemy {
         this.mesh.lookAt(new THREE.Vector3(playerPos.x, this.position.y, playerPos.z));
     }
 
-    const now = Date.now();
+    const now = this.enemyManager.clock.now();
     if (now - this.lastAttackTime > this.attackCooldown) this.attackPlayer();
     
     this.applyPhysics(dt);
@@ -300,8 +333,9 @@ export class Enemy {
 
   // Executa lógica de dano ao jogador e animação de investida
   attackPlayer() {
-      this.lastAttackTime = Date.now();
-      if (this.player.takeDamage) this.player.takeDamage(this.config.damage);
+      this.lastAttackTime = this.enemyManager.clock.now();
+      const damage = this.config.damage * this.statusEffects.getModifier('damageDealt');
+      if (this.player.takeDamage) this.player.takeDamage(damage);
       
       // Animação visual de "bote"
       const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
@@ -309,7 +343,7 @@ export class Enemy {
       const lungeDistance = 1.2; 
       this.lungeOffset.copy(forward.multiplyScalar(lungeDistance));
       
-      const tId = setTimeout(() => { this.lungeOffset.set(0, 0, 0); }, 150); 
+      const tId = this.enemyManager.clock.schedule(() => { this.lungeOffset.set(0, 0, 0); }, 150); 
       this.activeTimeouts.push(tId);
   }
 
@@ -317,7 +351,8 @@ export class Enemy {
    * Recebe dano, aplica knockback e flash visual.
    */
   takeDamage(amount, knockbackDir, knockbackForce) {
-    this.hp -= amount;
+    if (this.isDead) return;
+    this.hp -= amount * this.statusEffects.getModifier('damageTaken');
     
     // Força estado de perseguição ao receber dano
     if (this.state === 'wandering') {
@@ -339,7 +374,7 @@ export class Enemy {
     // Feedback visual (piscar branco)
     const oldColor = this.mesh.material.color.getHex();
     this.mesh.material.color.setHex(0xffffff);
-    const tId = setTimeout(() => { 
+    const tId = this.enemyManager.clock.schedule(() => { 
         if(this.mesh) this.mesh.material.color.setHex(oldColor); 
     }, 80);
     this.activeTimeouts.push(tId);
@@ -347,6 +382,110 @@ export class Enemy {
     if (this.hp <= 0) this.die();
   }
 
+  /**
+   * Aplica (ou renova) o status "queimando".
+   * @param {number} damagePerSecond - Dano por segundo enquanto queima.
+   * @param {number} duration - Duração em segundos.
+   */
+  applyBurn(damagePerSecond, duration) {
+    if (this.isDead) return;
+    this.statusEffects.apply('burning', { duration, params: { damagePerSecond } });
+  }
+
+  isBurning() {
+    return this.statusEffects.has('burning');
+  }
+
+  /**
+   * Aplica um acúmulo de lentidão. Ao atingir o limite, o inimigo congela.
+   * @param {object} chill - { stacks, duration, freezeDuration } (durações em segundos).
+   */
+  applyChill({ stacks = 1, duration = 4.0, freezeDuration = 2.5 } = {}) {
+    if (this.isDead) return;
+    this.statusEffects.apply('chilled', { stacks, duration, params: { freezeDuration } });
+  }
+
+  isFrozen() {
+    return this.statusEffects.has('frozen');
+  }
+
+  /**
+   * Quebra o gelo de um inimigo congelado.
+   * @returns {boolean} true se o inimigo estava congelado (dano bônus aplicável).
+   */
+  shatter() {
+    if (!this.isFrozen()) return false;
+
+    this.emitStatusParticles('ice', 40, { speed: 0.8, decay: 0.03, scale: 2.0 });
+    this.statusEffects.remove('frozen');
+    return true;
+  }
+
+  // Multiplicador de velocidade considerando lentidão e congelamento
+  getSpeedMultiplier() {
+    return this.statusEffects.getModifier('speed');
+  }
+
+  emitStatusParticles(type, count, options = { speed: 0.15, decay: 0.05, scale: 1.5 }) {
+    if (!this.particleSystem) return;
+    const center = this.position.clone();
+    center.y += 1.5 * this.config.scale;
+    this.particleSystem.emit(center, type, count, options);
+  }
+
+  /**
+   * Reflete os efeitos ativos na malha: tinta emissiva do efeito dominante
+   * e casca de gelo quando congelado.
+   */
+  refreshStatusVisuals() {
+    if (!this.mesh) return;
+
+    const material = this.mesh.material;
+    const tint = this.statusEffects.getTint();
+    if (tint !== null) {
+        material.emissive.setHex(tint);
+        material.emissiveIntensity = 0.6;
+    } else {
+        material.emissive.setHex(this.config.color);
+        material.emissiveIntensity = 0.1;
+    }
+
+    if (this.isFrozen()) {
+        this.pushForce.set(0, 0, 0);
+        this.lungeOffset.set(0, 0, 0);
+        this.addIceOverlay();
+    } else {
+        this.removeIceOverlay();
+    }
+  }
+
+  // Casca de gelo translúcida sobre a malha do inimigo
+  addIceOverlay() {
+    if (!this.mesh || this.iceOverlay) return;
+
+    const iceMaterial = new THREE.MeshStandardMaterial({
+        color: 0x99ddff,
+        emissive: 0x2266ff,
+        emissiveIntensity: 0.4,
+        transparent: true,
+        opacity: 0.55,
+        roughness: 0.1,
+        metalness: 0.3,
+        flatShading: true
+    });
+    this.iceOverlay = new THREE.Mesh(this.mesh.geometry, iceMaterial);
+    this.iceOverlay.scale.setScalar(1.1);
+    enableBloom(this.iceOverlay);
+    this.mesh.add(this.iceOverlay);
+  }
+
+  removeIceOverlay() {
+    if (!this.iceOverlay) return;
+    this.iceOverlay.parent?.remove(this.iceOverlay);
+    this.iceOverlay.material.dispose(); // Geometria é compartilhada com a malha principal
+    this.iceOverlay = null;
+  }
+
   die() {
     this.isDead = true;
     this.dispose();
@@ -354,7 +493,10 @@ export class Enemy {
   }
 
   dispose() {
-    this.activeTimeouts.forEach(id => clearTimeout(id));
+    this.activeTimeouts.forEach(id => this.enemyManager.clock.cancel(id));
+    this.statusEffects.onChange = null;
+    this.statusEffects.clear();
+    this.removeIceOverlay();
     if (this.mesh) {
         this.scene.remove(this.mesh);
         this.mesh.geometry.dispose();
@@ -1,5 +1,8 @@
 import * as THREE from 'three';
-import { Enemy } from './Enemy.js';
+import { Enemy, DEFAULT_ENEMY_CONFIG } from './Enemy.js';
+import { getDifficultyProfile } from './DifficultyProfiles.js';
+import { GameClock } from './GameClock.js';
+import { RandomService } from './Random.js';
 
 // Definição dos Estados do Jogo (Ciclo da Horda)
 const STATE_REST = 'REST';           // Intervalo entre hordas
@@ -17,22 +20,30 @@ export class EnemyManager {
 
     this.enemies = [];
     this.particleSystem = null;
+    this.difficulty = getDifficultyProfile();
+    // Inimigos seguem o tempo do mundo (câmera lenta); o ciclo das hordas, o tempo real
+    this.clock = new GameClock();
+    this.random = new RandomService();
 
     // Estado Inicial
     this.state = STATE_REST;
     this.hordeLevel = 1;
-    this.stateTimer = 5.0; // Tempo de descanso fixo
+    this.stateTimer = this.difficulty.restTime;
 
     // Controle de Entidades
     this.totalEnemiesInWave = 0;
     this.enemiesSpawnedCount = 0;
     this.enemiesKilledCount = 0;
-    this.maxActiveEnemies = 15; 
+    this.maxActiveEnemies = this.difficulty.maxActiveEnemies;
     this.pendingSpawns = 0;
     
     // Referência ao Boss atual para barra de vida
     this.currentBoss = null;
 
+    // Chamado a cada inimigo abatido pelo jogador: (enemy, hordeLevel) => void
+    this.onEnemyKilled = null;
+    this.isDismissingClones = false;
+
     // Elementos de UI
     this.uiLevel = document.getElementById('horde-level-display');
     this.uiProgress = document.getElementById('horde-progress-fill');
@@ -46,16 +57,50 @@ export class EnemyManager {
     this.particleSystem = particleSystem;
   }
 
+  // Relógio compartilhado da partida (ver Game)
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  // Números aleatórios com a semente da partida (ver Game)
+  setRandom(random) {
+    this.random = random;
+  }
+
+  /**
+   * Define o perfil de dificuldade (vale a partir da próxima horda/partida).
+   */
+  setDifficulty(profile) {
+    this.difficulty = profile;
+    this.maxActiveEnemies = profile.maxActiveEnemies;
+    if (this.state === STATE_REST) this.stateTimer = profile.restTime;
+  }
+
+  isBossHorde() {
+    return this.hordeLevel % this.difficulty.bossEvery === 0;
+  }
+
+  /**
+   * Aplica os multiplicadores de vida, velocidade e dano da dificuldade.
+   */
+  scaleEnemyConfig(config) {
+    const { hp, speed, damage } = this.difficulty.enemy;
+    const scaled = {
+        ...config,
+        hp: Math.round((config.hp ?? DEFAULT_ENEMY_CONFIG.hp) * hp),
+        speed: (config.speed ?? DEFAULT_ENEMY_CONFIG.speed) * speed,
+        patrolSpeed: (config.patrolSpeed ?? DEFAULT_ENEMY_CONFIG.patrolSpeed) * speed,
+        damage: (config.damage ?? DEFAULT_ENEMY_CONFIG.damage) * damage
+    };
+    if (config.isBoss) scaled.summonInterval = this.difficulty.bossSummonInterval;
+    return scaled;
+  }
+
   /**
    * Atualiza a lógica do gerenciador a cada frame.
    * Executa a função correspondente ao estado atual.
    */
   update(dt) {
-    // Atualização da barra de vida do Boss em tempo real (se houver boss vivo)
-    if (this.currentBoss && this.currentBoss.isAlive()) {
-        this.updateBossHealthBar();
-    }
-
     switch (this.state) {
         case STATE_REST: this.updateRestState(dt); break;
         case STATE_ANNOUNCE: this.updateAnnounceState(dt); break;
@@ -65,9 +110,10 @@ export class EnemyManager {
     }
 
     // Atualiza individualmente cada inimigo
+    const enemyDt = dt * this.clock.getTimeScale();
     for (let i = this.enemies.length - 1; i >= 0; i--) {
         const enemy = this.enemies[i];
-        enemy.update(dt);
+        enemy.update(enemyDt);
         if (!enemy.isAlive()) {
             this.enemies.splice(i, 1);
         }
@@ -84,7 +130,7 @@ export class EnemyManager {
 
   enterAnnounceState() {
       this.state = STATE_ANNOUNCE;
-      const isBossLevel = (this.hordeLevel % 5 === 0);
+      const isBossLevel = this.isBossHorde();
       let msg = `HORDA ${this.hordeLevel}`;
       let color = "#C5A45A"; 
 
@@ -155,10 +201,11 @@ export class EnemyManager {
 
   // Define o tamanho da horda baseado no nível
   calculateWaveSize() {
-      if (this.hordeLevel % 5 === 0) {
+      if (this.isBossHorde()) {
           this.totalEnemiesInWave = 1; // Boss é único
       } else {
-          this.totalEnemiesInWave = 5 + (this.hordeLevel * 2);
+          const { base, perHorde } = this.difficulty.waveSize;
+          this.totalEnemiesInWave = Math.round(base + (this.hordeLevel * perHorde));
       }
   }
 
@@ -185,8 +232,8 @@ export class EnemyManager {
 
       let config = { type: 'normal' };
       
-      // Lógica de Spawn para Boss (Horda Múltipla de 5)
-      if (this.hordeLevel % 5 === 0) {
+      // Lógica de Spawn para Boss (a cada `bossEvery` hordas)
+      if (this.isBossHorde()) {
           config = { isBoss: true, hp: 400 + (this.hordeLevel * 50), scale: 3.5, color: 0x4B0082, speed: 2.0 };
       } 
       // Lógica de Spawn para Mini-Bosses (Horda Par)
@@ -195,15 +242,15 @@ export class EnemyManager {
           if (this.enemiesSpawnedCount <= numMiniBosses) {
               config = { isMiniBoss: true, hp: 120 + (this.hordeLevel * 15), scale: 1.8, damage: 20 };
           } else {
-              config = { hp: 20 + (this.hordeLevel * 2), speed: 3.0 + (Math.random() * 1.5) };
+              config = { hp: 20 + (this.hordeLevel * 2), speed: 3.0 + (this.random.gameplay.next() * 1.5) };
           }
       } 
       // Inimigos Normais
       else {
-          config = { hp: 20 + (this.hordeLevel * 2), speed: 3.0 + (Math.random() * 1.5) };
+          config = { hp: 20 + (this.hordeLevel * 2), speed: 3.0 + (this.random.gameplay.next() * 1.5) };
       }
 
-      this.executeSpawn(pos, config);
+      this.executeSpawn(pos, this.scaleEnemyConfig(config));
   }
 
   executeSpawn(pos, config) {
@@ -211,8 +258,8 @@ export class EnemyManager {
       if (this.particleSystem) {
           this.particleSystem.emit(pos, 'smoke', 10, { speed: 0.1, scale: 2.0 });
       }
-      // Delay para sincronizar com a fumaça
-      setTimeout(() => {
+      // Delay para sincronizar com a fumaça (no relógio da partida: não nasce durante a pausa)
+      this.clock.schedule(() => {
           this.pendingSpawns = Math.max(0, this.pendingSpawns - 1);
           // Validação: não spawnar se o estado mudou
           if (this.state !== STATE_WAVE && this.state !== STATE_ANNOUNCE) return; 
@@ -232,10 +279,10 @@ export class EnemyManager {
    * Habilidade do Boss: Invoca clones menores ao redor.
    */
   bossSummon(bossPos) {
-      const count = Math.floor(Math.random() * 4) + 3; // 3 a 6 minions
+      const count = this.random.gameplay.int(3, 6); // 3 a 6 minions
       for(let i = 0; i < count; i++) {
-          const angle = Math.random() * Math.PI * 2;
-          const dist = 5 + Math.random() * 5;
+          const angle = this.random.gameplay.next() * Math.PI * 2;
+          const dist = 5 + this.random.gameplay.next() * 5;
           
           let spawnX = bossPos.x + Math.cos(angle) * dist;
           let spawnZ = bossPos.z + Math.sin(angle) * dist;
@@ -250,20 +297,27 @@ export class EnemyManager {
               type: 'clone', hp: 15 + (this.hordeLevel), speed: 6.0, 
               damage: 5, scale: 0.7, color: 0x663399 
           };
-          this.executeSpawn(spawnPos, config);
+          this.executeSpawn(spawnPos, this.scaleEnemyConfig(config));
       }
   }
 
   handleEnemyDeath(enemy) {
+      // Clones dissipados pela morte do Boss não contam como abates do jogador
+      if (!this.isDismissingClones) {
+          this.onEnemyKilled?.(enemy, this.hordeLevel);
+      }
+
       // Se o Boss morrer, elimina todos os clones ativos
       if (enemy.config.isBoss) {
           this.currentBoss = null; // Limpa referência do boss
+          this.isDismissingClones = true;
           for (let i = this.enemies.length - 1; i >= 0; i--) {
               const other = this.enemies[i];
               if (other.config.type === 'clone' && other.isAlive()) {
                   other.takeDamage(9999, null, 0); 
               }
           }
+          this.isDismissingClones = false;
       }
 
       // Clones invocados não contam para o progresso da horda
@@ -288,7 +342,13 @@ export class EnemyManager {
           this.hordeLevel++;
           this.updateHordeUI();
           this.state = STATE_REST;
-          this.stateTimer = 5.0; 
+          this.stateTimer = this.difficulty.restTime;
+          // Recuperação entre hordas (só no Fácil)
+          if (this.difficulty.restHeal > 0) {
+              this.player.heal(this.player.maxHP * this.difficulty.restHeal);
+          }
+          // Sem regeneração, a mana só volta aqui
+          if (!this.difficulty.regeneration) this.player.refillMana();
           if(this.uiProgress) this.uiProgress.style.height = '100%';
       }
   }
@@ -298,8 +358,8 @@ export class EnemyManager {
    * Aplica CLAMP (limite) para garantir coordenadas dentro da arena.
    */
   generateSpawnPosition(center) {
-      const angle = Math.random() * Math.PI * 2;
-      const dist = 25 + Math.random() * 25; 
+      const angle = this.random.gameplay.next() * Math.PI * 2;
+      const dist = 25 + this.random.gameplay.next() * 25; 
       
       let x = center.x + Math.cos(angle) * dist;
       let z = center.z + Math.sin(angle) * dist;
@@ -330,6 +390,15 @@ export class EnemyManager {
    * Atualiza a barra de progresso baseada na VIDA do Boss.
    * A barra diminui conforme o Boss toma dano.
    */
+  /**
+   * Barra de vida do Boss em tempo real (se houver boss vivo). Chamado uma vez por frame.
+   */
+  updateHUD() {
+    if (this.currentBoss && this.currentBoss.isAlive()) {
+        this.updateBossHealthBar();
+    }
+  }
+
   updateBossHealthBar() {
       if (!this.uiProgress || !this.currentBoss) return;
       // config.hp é usado como MaxHP na inicialização do Enemy
@@ -343,9 +412,9 @@ export class EnemyManager {
   showOverlayMessage(text, color, duration = 3000) {
       if (!this.uiOverlay) return;
       this.uiOverlay.innerHTML = `<div class="overlay-msg" style="color:${color}">${text}</div>`;
-      setTimeout(() => { 
+      this.clock.schedule(() => { 
           if (this.uiOverlay.innerHTML.includes(text)) this.uiOverlay.innerHTML = ''; 
-      }, duration);
+      }, duration, { scaled: false });
   }
 
   showOverlayText(text, className) {
@@ -375,7 +444,17 @@ export class EnemyManager {
 
              if (dy > 0 && dy < enemyHeight) {
                  const dir = new THREE.Vector3().subVectors(enemy.mesh.position, projPos).normalize();
-                 enemy.takeDamage(projectile.damage, dir, projectile.knockbackForce);
+                 const spell = projectile.spell || {};
+
+                 // Estilhaçar: dano bônus contra inimigos congelados
+                 let damage = projectile.damage;
+                 if (spell.shatterMultiplier && enemy.shatter()) {
+                     damage *= spell.shatterMultiplier;
+                 }
+
+                 enemy.takeDamage(damage, dir, projectile.knockbackForce);
+                 if (spell.chill && enemy.isAlive()) enemy.applyChill(spell.chill);
+                 if (spell.status && enemy.isAlive()) enemy.statusEffects.apply(spell.status.id, spell.status);
                  return enemy;
              }
         }
@@ -390,7 +469,7 @@ export class EnemyManager {
       this.hordeLevel = 1;
       this.currentBoss = null;
       this.state = STATE_REST;
-      this.stateTimer = 5.0;
+      this.stateTimer = this.difficulty.restTime;
       this.updateHordeUI();
       if(this.uiProgress) {
           this.uiProgress.style.height = '100%';
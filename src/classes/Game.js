@@ -5,8 +5,28 @@ import { GameScene } from './GameScene.js';
 import { AudioManager } from './AudioManager.js';
 import { FPSCounter } from './FPSCounter.js';
 import { SpeechRecognitionManager } from './SpeechRecognitionManager.js';
+import { MODEL_UNAVAILABLE } from './KeywordSpottingRecognizer.js';
 import { SpellManager } from './SpellManager.js';
+import { VoiceCommandParser } from './VoiceCommandParser.js';
+import { vocabularyPacks, getVocabularyPack, DEFAULT_LANGUAGE } from './VocabularyPacks.js';
 import { EnemyManager } from './EnemyManager.js';
+import { ScoreManager } from './ScoreManager.js';
+import { HighScoreStore, NO_MAGE } from './HighScoreStore.js';
+import { settingsService } from './SettingsService.js';
+import { getDifficultyProfile } from './DifficultyProfiles.js';
+import { getQualityPreset } from './QualityPresets.js';
+import { PostProcessing } from './PostProcessing.js';
+import { GameClock } from './GameClock.js';
+import { RandomService, createSeed, parseSeed } from './Random.js';
+import { getMageProfile, getMageModifiers, getMageSpellOverrides } from './MageProfiles.js';
+import { SpellRegistry, defaultSpells } from './SpellRegistry.js';
+
+// Tipos de mapa de sombras dos níveis de qualidade
+const SHADOW_MAP_TYPES = {
+  basic: THREE.BasicShadowMap,
+  pcf: THREE.PCFShadowMap,
+  pcfSoft: THREE.PCFSoftShadowMap
+};
 
 /**
  * Classe Game
@@ -15,22 +35,35 @@ import { EnemyManager } from './EnemyManager.js';
 export class Game {
   constructor() {
     this.inputManager = new InputManager();
-    this.gameScene = new GameScene();
+    this.quality = getQualityPreset(settingsService.get('qualidade'));
+    this.random = new RandomService(this.getRunSeed());
+    this.gameScene = new GameScene(this.quality, this.random.cosmetic);
     this.player = new Player(this.inputManager);
     
     this.player.onPlayerDeath = () => this.handleGameOver();
+    // Vinheta vermelha proporcional ao golpe (25 de dano = flash máximo)
+    this.player.onDamage = (amount) => this.postProcessing.flashDamage(Math.min(1, amount / 25));
     
     this.isGameOver = false;
+    // Tempo da partida, escala de tempo global (câmera lenta) e funções agendadas.
+    // Só avança em update(), então tudo fica congelado durante a pausa
+    this.clock = new GameClock();
     this.audioManager = new AudioManager(this.player.getCamera());
     this.fpsCounter = new FPSCounter();
-    this.speechRecognitionManager = new SpeechRecognitionManager();
-    this.spellManager = new SpellManager(this.gameScene, this.player, this.audioManager);
+    this.speechRecognitionManager = new SpeechRecognitionManager(this.createSpeechRecognizer());
+    this.spellRegistry = new SpellRegistry();
+    this.applyMage();
+    this.voiceCommandParser = new VoiceCommandParser(this.spellRegistry.getAll());
+    // Quantos feitiços de cada frase já foram conjurados a partir de resultados parciais
+    this.interimCasts = new Map();
+    this.interimMinSimilarity = 0.9;
+    this.spellManager = new SpellManager(this.gameScene, this.player, this.audioManager, this.spellRegistry);
     this.enemyManager = new EnemyManager(this.gameScene, this.player, this.audioManager);
+    this.scoreManager = new ScoreManager();
+    this.highScoreStore = new HighScoreStore();
 
-    this.renderer = new THREE.WebGLRenderer({ antialias: true });
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
-    this.renderer.shadowMap.enabled = true;
-    this.renderer.shadowMap.type = THREE.PCFShadowShadowMap;
+    this.renderer = null;
+    this.createRenderer();
 
     const btnRestart = document.getElementById('btn-restart');
     if (btnRestart) {
@@ -52,12 +85,11 @@ export class Game {
     this.isPaused = false;
     this.animationFrameId = null;
     this.lastFrameTime = performance.now();
+    // Simulação em passo fixo: o jogo se comporta igual em qualquer taxa de atualização do monitor
+    this.fixedTimeStep = 1 / 60;
+    this.accumulator = 0;
 
     this.settingsMenu = document.getElementById('settings-container');
-    const container = document.getElementById('canvas-container');
-    if (container) {
-      container.appendChild(this.renderer.domElement);
-    }
 
     // --- LÓGICA DE PAUSE MASTER (Pointer Lock) ---
     // O estado de pausa é controlado exclusivamente pelo estado do ponteiro do mouse.
@@ -107,9 +139,16 @@ export class Game {
     this.setupSpells();
 
     this.enemyManager.setParticleSystem(this.spellManager.particleSystem);
+    this.enemyManager.setClock(this.clock);
+    this.enemyManager.setRandom(this.random);
     this.spellManager.setEnemyManager(this.enemyManager);
+    this.spellManager.setClock(this.clock);
+    this.spellManager.setRandom(this.random);
+    this.setupScoring();
+    this.applyDifficulty();
 
-    this.speechRecognitionManager.start();
+    this.setupVoiceControls();
+    this.unsubscribeSettings = settingsService.subscribe((settings, changed) => this.applySettings(settings, changed));
 
     // Render inicial
     setTimeout(() => {
@@ -118,6 +157,276 @@ export class Game {
     }, 100);
   }
 
+  // Mago escolhido em magos.html (ou null)
+  loadSelectedMage() {
+    try {
+      return JSON.parse(localStorage.getItem('selectedMago'));
+    } catch (e) {
+      console.warn('Mago selecionado inválido no localStorage:', e);
+      return null;
+    }
+  }
+
+  getVoiceScript() {
+    return new URLSearchParams(window.location.search).get('voiceScript');
+  }
+
+  /**
+   * Semente da partida: `?seed=123`, `?seed=texto` ou `?seed=daily` (desafio diário)
+   * repetem a mesma partida a cada reinício; sem parâmetro, cada partida é nova.
+   */
+  getRunSeed() {
+    const seed = parseSeed(new URLSearchParams(window.location.search).get('seed')) ?? createSeed();
+    console.log(`Semente da partida: ${seed}`);
+    return seed;
+  }
+
+  /**
+   * Escolhe o backend de voz. `?voiceScript=fogo,gelo` na URL reproduz um roteiro
+   * (demos/testes); sem WebSpeech API, cai para o reconhecedor local de palavras-chave.
+   */
+  createSpeechRecognizer() {
+    const script = this.getVoiceScript();
+    if (script) {
+      return SpeechRecognitionManager.createRecognizer('scripted', {
+        script: script.split(',').map(entry => entry.trim()).filter(Boolean),
+        loop: true
+      });
+    }
+
+    const backend = settingsService.get('voiceBackend');
+    const recognizer = SpeechRecognitionManager.createRecognizer(backend);
+    if (!recognizer.isSupported && backend === 'webspeech') {
+      console.warn('WebSpeech API indisponível, usando reconhecimento local de palavras-chave');
+      return SpeechRecognitionManager.createRecognizer('keyword');
+    }
+    return recognizer;
+  }
+
+  /**
+   * O modelo de palavras-chave não carregou: usa a WebSpeech API, se houver
+   * (senão o HUD mostra "Voz indisponível").
+   */
+  fallBackToWebSpeech() {
+    const speech = this.speechRecognitionManager;
+    console.warn('Modelo de palavras-chave indisponível, usando WebSpeech API');
+    speech.setRecognizer(SpeechRecognitionManager.createRecognizer('webspeech'));
+    this.applyLanguage(settingsService.get('language'));
+    speech.setLowLatencyMode(settingsService.get('voiceLowLatency'));
+
+    // O erro veio de um pedido para ouvir: repete o pedido no novo backend
+    const wantsToListen = this.voiceMode !== 'pushToTalk' || this.inputManager.isKeyHeld(this.inputManager.voiceKey);
+    if (speech.isSupported && wantsToListen) speech.start();
+    this.updateVoiceIndicator();
+  }
+
+  /**
+   * Aplica as configurações em todos os sistemas. Chamado na inicialização
+   * (changed = null) e a cada alteração, inclusive pelo menu de pausa.
+   */
+  applySettings(settings, changed = null) {
+    const has = (...keys) => !changed || keys.some(key => changed.includes(key));
+
+    if (has('mouseSensitivity', 'invertY')) this.inputManager.applySettings(settings);
+    if (has('volumeGeral', 'volumeMusica', 'volumeEfeitos')) this.audioManager.setVolumes(settings);
+
+    if (has('qualidade')) this.applyQuality(settings.qualidade);
+
+    if (has('bloom', 'damageFlash', 'colorGrade')) {
+      this.postProcessing.setOptions({
+        bloom: settings.bloom,
+        damageFlash: settings.damageFlash,
+        colorGrade: settings.colorGrade
+      });
+      if (this.isPaused) this.render();
+    }
+
+    if (has('shadows')) {
+      this.renderer.shadowMap.enabled = settings.shadows;
+      this.gameScene.setShadowsEnabled(settings.shadows);
+    }
+
+    // Roteiro da URL (?voiceScript=) tem prioridade sobre o backend escolhido
+    if (changed?.includes('voiceBackend') && !this.getVoiceScript()) {
+      this.speechRecognitionManager.setRecognizer(this.createSpeechRecognizer());
+      this.applyLanguage(settings.language);
+      this.speechRecognitionManager.setLowLatencyMode(settings.voiceLowLatency);
+      this.updateVoiceIndicator();
+    }
+
+    if (has('language')) this.applyLanguage(settings.language);
+    if (has('voiceLowLatency')) this.speechRecognitionManager.setLowLatencyMode(settings.voiceLowLatency);
+    if (has('voiceMode')) this.setVoiceMode(settings.voiceMode);
+  }
+
+  /**
+   * Cria o renderizador com as opções do nível de qualidade. O antialiasing só
+   * pode ser escolhido na criação do contexto, então trocá-lo recria o renderizador
+   * (o canvas antigo é substituído e liberado).
+   */
+  createRenderer() {
+    const previous = this.renderer;
+    const renderer = new THREE.WebGLRenderer({ antialias: this.quality.antialias });
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.quality.maxPixelRatio));
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.shadowMap.enabled = settingsService.get('shadows');
+    renderer.shadowMap.type = SHADOW_MAP_TYPES[this.quality.shadowType];
+
+    const container = document.getElementById('canvas-container');
+    if (previous) {
+      previous.domElement.replaceWith(renderer.domElement);
+      previous.dispose();
+    } else if (container) {
+      container.appendChild(renderer.domElement);
+    }
+
+    this.renderer = renderer;
+    this.rendererAntialias = this.quality.antialias;
+
+    // Os composers ficam presos ao renderizador: recriados junto com ele
+    this.postProcessing?.dispose();
+    this.postProcessing = new PostProcessing(renderer, this.gameScene.getScene(), this.player.getCamera(), {
+      bloom: settingsService.get('bloom'),
+      damageFlash: settingsService.get('damageFlash'),
+      colorGrade: settingsService.get('colorGrade')
+    });
+  }
+
+  /**
+   * Troca o nível de qualidade em tempo real (ex: pelo menu de pausa).
+   */
+  applyQuality(id) {
+    this.quality = getQualityPreset(id);
+
+    if (this.quality.antialias !== this.rendererAntialias) {
+      this.createRenderer();
+    } else {
+      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.quality.maxPixelRatio));
+      this.postProcessing.setPixelRatio(this.renderer.getPixelRatio());
+      this.renderer.shadowMap.type = SHADOW_MAP_TYPES[this.quality.shadowType];
+    }
+
+    this.gameScene.setQuality(this.quality);
+    this.spellManager.particleSystem.maxParticles = this.quality.maxParticles;
+    this.spellManager.particleSystem.maxRings = this.quality.maxRings;
+    // Pausado não há loop: redesenha para mostrar o resultado atrás do menu
+    if (this.isPaused) this.render();
+  }
+
+  /**
+   * Aplica o mago escolhido em magos.html: atributos no jogador, paleta e
+   * ajustes nos feitiços padrão e o feitiço assinatura (só por voz).
+   */
+  applyMage() {
+    this.mage = this.loadSelectedMage();
+    this.mageProfile = getMageProfile(this.mage);
+    this.mageModifiers = getMageModifiers(this.mage);
+
+    this.player.applyMageModifiers(this.mageModifiers);
+    if (!this.mageProfile) return;
+
+    this.spellRegistry.setOverrides(getMageSpellOverrides(this.mageProfile, defaultSpells));
+    this.spellRegistry.register(this.mageProfile.signature);
+    console.log(`Mago: ${this.mage.nome} (assinatura: ${this.spellRegistry.get(this.mageProfile.signature.id).name})`);
+  }
+
+  /**
+   * Aplica o perfil de dificuldade escolhido. Chamado no início de cada partida:
+   * mudar a dificuldade no meio da partida só vale a partir da próxima.
+   */
+  applyDifficulty() {
+    this.difficultyId = settingsService.get('difficulty');
+    this.difficulty = getDifficultyProfile(this.difficultyId);
+
+    this.enemyManager.setDifficulty(this.difficulty);
+    this.spellManager.cooldownMultiplier = this.difficulty.spellCooldown;
+    this.player.setMaxHP(Math.round(this.difficulty.playerMaxHP * this.mageModifiers.maxHP));
+    this.player.setRegeneration(this.difficulty.regeneration);
+  }
+
+  /**
+   * 'toggle' (V liga/desliga), 'pushToTalk' (segurar V) ou 'always' (sempre ouvindo).
+   */
+  setVoiceMode(mode) {
+    const previous = this.voiceMode;
+    this.voiceMode = mode;
+
+    if (mode === 'always') this.speechRecognitionManager.start();
+    else if (previous && previous !== mode) this.speechRecognitionManager.stop();
+    this.updateVoiceIndicator();
+  }
+
+  /**
+   * Troca o idioma da voz: reconhecimento, palavras mágicas e nomes dos feitiços.
+   */
+  applyLanguage(lang = DEFAULT_LANGUAGE) {
+    const language = vocabularyPacks[lang] ? lang : DEFAULT_LANGUAGE;
+    const pack = getVocabularyPack(language);
+
+    this.spellRegistry.setVocabulary(pack);
+    this.voiceCommandParser.setVocabulary(this.spellRegistry.getAll());
+    this.voiceCommandParser.setFillerWords(pack.fillerWords);
+    this.speechRecognitionManager.setLanguage(language);
+  }
+
+  /**
+   * Liga o microfone à tecla de voz do InputManager e ao indicador do HUD.
+   */
+  setupVoiceControls() {
+    const speech = this.speechRecognitionManager;
+    this.voiceIndicator = document.getElementById('voice-indicator');
+    this.voiceStatus = document.getElementById('voice-status');
+    this.voiceLevelFill = document.getElementById('voice-level-fill');
+    this.voiceTranscript = document.getElementById('voice-transcript');
+
+    this.inputManager.onVoiceKeyDown = () => {
+      if (this.isPaused || this.isGameOver) return;
+      if (this.voiceMode === 'pushToTalk') speech.start();
+      else if (this.voiceMode === 'toggle') speech.toggle();
+      this.updateVoiceIndicator();
+    };
+
+    this.inputManager.onVoiceKeyUp = () => {
+      if (this.voiceMode !== 'pushToTalk') return;
+      speech.stop();
+      this.updateVoiceIndicator();
+    };
+
+    speech.onListeningStart = () => this.updateVoiceIndicator();
+    speech.onListeningStop = () => this.updateVoiceIndicator();
+    speech.onError = (error) => {
+      if (error === MODEL_UNAVAILABLE) this.fallBackToWebSpeech();
+    };
+  }
+
+  updateVoiceIndicator() {
+    if (!this.voiceIndicator) return;
+    const speech = this.speechRecognitionManager;
+
+    let text;
+    if (!speech.isSupported) text = '🎤 Voz indisponível';
+    else if (speech.isListening) text = '🎤 Ouvindo...';
+    else if (speech.shouldListen) text = '🎤 Iniciando...';
+    else if (this.voiceMode === 'pushToTalk') text = '🔇 Segure V para falar';
+    else text = '🔇 Microfone desligado (V)';
+
+    this.voiceStatus.textContent = text;
+    this.voiceIndicator.classList.toggle('listening', speech.isListening);
+  }
+
+  // Nível do microfone em tempo real (chamado a cada frame)
+  updateVoiceLevel() {
+    if (!this.voiceLevelFill) return;
+    const level = Math.min(1, this.speechRecognitionManager.getVolumeLevel() / 1.5);
+    this.voiceLevelFill.style.width = `${level * 100}%`;
+  }
+
+  showVoiceTranscript(transcript, recognized, isFinal) {
+    if (!this.voiceTranscript) return;
+    this.voiceTranscript.textContent = `"${transcript}"`;
+    this.voiceTranscript.className = isFinal ? (recognized ? 'recognized' : 'rejected') : 'partial';
+  }
+
   setupEventListeners() {
     window.addEventListener('resize', () => this.onWindowResize());
 
@@ -135,6 +444,8 @@ export class Game {
     document.addEventListener('visibilitychange', () => {
       if (document.hidden) {
         this.inputManager.unlockPointer();
+        // A tecla pode ser solta com a aba em segundo plano
+        if (this.voiceMode === 'pushToTalk') this.speechRecognitionManager.stop();
       }
     });
   }
@@ -143,8 +454,9 @@ export class Game {
     try {
       await this.audioManager.loadSound('walk', '/sounds/walking-on-grass.mp3');
       await this.audioManager.loadSound('jumpFall', '/sounds/jump-fall.mp3');
-      await this.audioManager.loadSound('fireball', '/sounds/jump-fall.mp3');
-      await this.audioManager.loadSound('ice', '/sounds/jump-fall.mp3');
+      for (const spell of this.spellRegistry.getAll()) {
+        if (spell.sound) await this.audioManager.loadSound(spell.id, spell.sound);
+      }
     } catch (error) {
       console.warn('Erro ao carregar sons:', error);
     }
@@ -165,52 +477,132 @@ export class Game {
       this.inputManager.onMouseDown = (event) => {
           if (this.isPaused) return;
 
-          if (event.button === 0) {
-             this.spellManager.castSpell('fireball', 0.5);
-          } else if (event.button === 2) {
-             this.spellManager.castSpell('ice', 0.5);
-          }
+          const spell = this.spellRegistry.findByMouseButton(event.button);
+          if (spell) this.spellManager.castSpell(spell.id, 0.5);
       };
 
-      this.speechRecognitionManager.onCommand = (command, intensity = 0.5) => {
-          if (this.isPaused) return;
+      this.speechRecognitionManager.onCommand = (command, intensity = 0.5, alternatives = null, meta = {}) => {
+          this.handleVoiceCommand(command, intensity, alternatives, meta);
+      };
+  }
 
-          const lowerCmd = command.toLowerCase();
-          console.log(`Comando: ${lowerCmd}`);
+  /**
+   * Interpreta um comando de voz e conjura os feitiços reconhecidos.
+   * No modo de baixa latência, resultados parciais conjuram assim que uma palavra
+   * é reconhecida com segurança; o resultado final conjura apenas o que faltou.
+   * (Combos só são detectados quando a sequência chega inteira no mesmo resultado.)
+   */
+  handleVoiceCommand(command, intensity, alternatives, { isFinal = true, utteranceId = null, voice = null } = {}) {
+      if (this.isPaused) return;
+
+      const sequence = this.voiceCommandParser.parseSequence(alternatives || command);
+      this.showVoiceTranscript(command, !!sequence, isFinal);
+      const alreadyCast = utteranceId !== null ? (this.interimCasts.get(utteranceId) || 0) : 0;
+
+      if (isFinal) {
+          this.interimCasts.delete(utteranceId);
+      } else if (!sequence || sequence.similarity < this.interimMinSimilarity) {
+          return;
+      }
 
-          if (lowerCmd.includes('bola de fogo') || lowerCmd.includes('fireball') || lowerCmd.includes('fogo')) {
-              this.spellManager.castSpell('fireball', intensity);
-          } else if (lowerCmd.includes('gelo') || lowerCmd.includes('ice')) {
-              this.spellManager.castSpell('ice', intensity);
-          }
-      };
+      if (!sequence) {
+          console.log(`Comando rejeitado: ${command}`);
+          return;
+      }
+
+      const pending = sequence.spellIds.slice(alreadyCast);
+      if (!isFinal) this.interimCasts.set(utteranceId, Math.max(alreadyCast, sequence.spellIds.length));
+      if (pending.length === 0) return;
+
+      console.log(`Comando: ${pending.join(' → ')} (${sequence.transcript}, confiança ${sequence.score.toFixed(2)})`);
+      this.spellManager.castSequence(pending, intensity, voice);
+  }
+
+  setupScoring() {
+    this.enemyManager.onEnemyKilled = (enemy, hordeLevel) => this.scoreManager.recordKill(enemy, hordeLevel);
+    this.spellManager.onCast = (spell) => this.scoreManager.recordCast(spell.id);
+    this.spellManager.onCastHit = () => this.scoreManager.recordHit();
   }
 
   onWindowResize() {
     this.player.onWindowResize();
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.postProcessing.setSize(window.innerWidth, window.innerHeight);
     this.render(); 
   }
 
   update(deltaTime) {
     if (this.isPaused || this.isGameOver) return;
     
-    this.player.update();
+    // Jogador e recargas usam deltaTime; inimigos e projéteis, a escala do relógio
+    this.clock.tick(deltaTime);
+    this.player.update(deltaTime);
+    this.updateChanneling();
     const playerPos = this.player.getPosition();
     this.gameScene.update(playerPos);
     this.spellManager.update(deltaTime);
     this.enemyManager.update(deltaTime);
+    this.scoreManager.update(deltaTime);
 
     if (this.player.isMoving && this.player.canJump) {
       this.audioManager.playWalkSound();
     }
   }
 
-  render() {
-    this.renderer.render(
-      this.gameScene.getScene(),
-      this.player.getCamera()
-    );
+  // Feitiços canalizados continuam enquanto a tecla é segurada ou o jogador segue falando
+  updateChanneling() {
+    for (const spell of this.spellRegistry.getAll()) {
+      if (spell.holdKey && this.inputManager.isKeyHeld(spell.holdKey)) {
+        this.spellManager.channelSpell(spell.id);
+      }
+    }
+
+    if (this.speechRecognitionManager.isSupported && this.speechRecognitionManager.isSpeaking()) {
+      this.spellManager.sustainChannels();
+    }
+  }
+
+  // HUD que muda continuamente (microfone, mana, chefe, multiplicador): uma vez por frame, não por passo
+  updateHUD() {
+    this.updateVoiceLevel();
+    this.player.updateManaBar();
+    this.enemyManager.updateHUD();
+    this.scoreManager.updateUI();
+  }
+
+  // Objetos que se movem na simulação, com a posição do início do último passo
+  getInterpolatedObjects() {
+    return [
+      { object: this.player.getCamera(), previous: this.player.previousPosition },
+      ...this.enemyManager.enemies
+        .filter(enemy => enemy.mesh)
+        .map(enemy => ({ object: enemy.mesh, previous: enemy.previousPosition })),
+      ...this.spellManager.projectiles
+        .map(projectile => ({ object: projectile.mesh, previous: projectile.previousPosition })),
+      // Feixes saem da câmera: interpolados junto com ela
+      ...this.spellManager.activeEffects
+        .filter(effect => effect.mesh && effect.previousPosition)
+        .map(effect => ({ object: effect.mesh, previous: effect.previousPosition }))
+    ];
+  }
+
+  /**
+   * @param {number} [alpha] - Fração do próximo passo já decorrida (0 a 1). Os objetos
+   *   são desenhados entre a posição anterior e a atual e depois voltam ao estado da simulação.
+   */
+  render(alpha = 1) {
+    if (alpha >= 1 || this.isGameOver) {
+      this.postProcessing.render();
+      return;
+    }
+
+    const interpolated = this.getInterpolatedObjects();
+    const current = interpolated.map(({ object }) => object.position.clone());
+    interpolated.forEach(({ object, previous }, i) => object.position.lerpVectors(previous, current[i], alpha));
+
+    this.postProcessing.render();
+
+    interpolated.forEach(({ object }, i) => object.position.copy(current[i]));
   }
 
   animate = () => {
@@ -219,17 +611,27 @@ export class Game {
     this.animationFrameId = requestAnimationFrame(this.animate);
     
     const currentTime = performance.now();
-    const deltaTime = Math.min((currentTime - this.lastFrameTime) / 1000, 0.1);
+    const frameTime = Math.min((currentTime - this.lastFrameTime) / 1000, 0.1);
     this.lastFrameTime = currentTime;
 
-    this.update(deltaTime);
-    this.render();
+    // Consome o tempo do frame em passos fixos; o que sobra vira interpolação
+    this.accumulator += frameTime;
+    while (this.accumulator >= this.fixedTimeStep) {
+      this.update(this.fixedTimeStep);
+      this.accumulator -= this.fixedTimeStep;
+    }
+
+    if (!this.isGameOver) this.updateHUD();
+    this.postProcessing.update(frameTime);
+    this.render(this.accumulator / this.fixedTimeStep);
     this.fpsCounter.update();
   };
 
   dispose() {
+    this.unsubscribeSettings?.();
     this.gameScene.dispose();
     this.enemyManager.dispose();
+    this.postProcessing.dispose();
     this.renderer.dispose();
     this.fpsCounter.dispose();
     this.speechRecognitionManager.stop();
@@ -241,6 +643,8 @@ export class Game {
     
     this.inputManager.unlockPointer();
     
+    this.showRunSummary();
+
     const screen = document.getElementById('game-over-screen');
     if (screen) screen.style.display = 'flex';
     document.getElementById('hud').style.display = 'none';
@@ -249,13 +653,71 @@ export class Game {
     if (this.settingsMenu) this.settingsMenu.style.display = 'none';
   }
 
+  // Salva a partida nos recordes locais (dificuldade + mago)
+  saveRun(summary) {
+    const mage = this.mage;
+    try {
+      return this.highScoreStore.addRun({
+        score: summary.score,
+        difficulty: this.difficultyId,
+        seed: this.random.seed,
+        mage: mage ? { id: mage.id, nome: mage.nome, icon: mage.icon } : NO_MAGE,
+        horde: this.enemyManager.hordeLevel,
+        kills: summary.kills,
+        killsByType: summary.killsByType,
+        castsBySpell: summary.castsBySpell,
+        accuracy: summary.accuracy,
+        bestStreak: summary.bestStreak,
+        timeSurvived: Math.round(summary.timeSurvived)
+      });
+    } catch (e) {
+      console.warn('Não foi possível salvar o recorde:', e);
+      return null;
+    }
+  }
+
+  // Resumo da partida na tela de game over
+  showRunSummary() {
+    const summary = this.scoreManager.getSummary();
+    const saved = this.saveRun(summary);
+    const minutes = Math.floor(summary.timeSurvived / 60);
+    const seconds = Math.floor(summary.timeSurvived % 60).toString().padStart(2, '0');
+
+    const fields = {
+      'summary-score': summary.score.toLocaleString('pt-BR'),
+      'summary-horde': this.enemyManager.hordeLevel,
+      'summary-kills': summary.kills,
+      'summary-accuracy': `${Math.round(summary.accuracy * 100)}% (${summary.hits}/${summary.casts})`,
+      'summary-streak': summary.bestStreak,
+      'summary-time': `${minutes}:${seconds}`
+    };
+
+    for (const [id, value] of Object.entries(fields)) {
+      const element = document.getElementById(id);
+      if (element) element.textContent = value;
+    }
+
+    const record = document.getElementById('summary-record');
+    if (record) {
+      record.textContent = saved && saved.rank === 1 && summary.score > 0
+        ? '🏆 Novo recorde!'
+        : (saved && saved.rank <= 10 ? `#${saved.rank} no placar` : '');
+    }
+  }
+
   resetGame() {
     this.isGameOver = false;
     document.getElementById('game-over-screen').style.display = 'none';
     document.getElementById('hud').style.display = 'block';
     document.getElementById('crosshair').style.display = 'block';
     
+    this.applyDifficulty();
+    this.clock.clearSlowDowns();
+    this.clock.clearTimers(); // Spawns e animações pendentes da partida anterior
+    this.random.setSeed(this.getRunSeed());
     this.player.reset();
+    this.scoreManager.reset();
+    this.spellManager.reset();
     if (this.enemyManager) {
         this.enemyManager.clearAllEnemies(); 
         this.enemyManager.spawnTimer = 0; 
@@ -0,0 +1,115 @@
+/**
+ * GameClock - Relógio central da partida
+ * Substitui Date.now() e setTimeout() na lógica do jogo: só avança quando o
+ * loop chama tick(), então tempos e funções agendadas ficam parados enquanto o
+ * jogo está pausado. Tem uma escala de tempo global para câmera lenta:
+ * - Mundo (inimigos, projéteis, zonas de fogo): now() e o delta de tick(), com escala.
+ * - Jogador (movimento, recargas dos feitiços): unscaledNow() e o dt real.
+ */
+export class GameClock {
+  constructor() {
+    this.time = 0;          // Tempo do mundo (s), com escala
+    this.unscaledTime = 0;  // Tempo de jogo (s), sem escala
+    this.baseTimeScale = 1.0;
+    // Câmeras lentas temporárias (ex: Distorção Temporal): { scale, remaining }
+    this.slowDowns = [];
+    // Funções agendadas: id => { callback, at, scaled }
+    this.timers = new Map();
+    this.nextTimerId = 1;
+  }
+
+  /**
+   * Avança o relógio.
+   * @param {number} dt - Duração real do frame (s).
+   * @returns {number} Delta do mundo (dt × escala de tempo).
+   */
+  tick(dt) {
+    const delta = dt * this.getTimeScale();
+    this.time += delta;
+    this.unscaledTime += dt;
+
+    // A duração da câmera lenta é contada em tempo real, não no tempo do mundo
+    this.slowDowns.forEach(slowDown => slowDown.remaining -= dt);
+    this.slowDowns = this.slowDowns.filter(slowDown => slowDown.remaining > 0);
+
+    this.runTimers();
+    return delta;
+  }
+
+  /**
+   * Agenda uma função no tempo da partida (no lugar de setTimeout).
+   * @param {function} callback
+   * @param {number} delay - Milissegundos.
+   * @param {object} [options] - { scaled }: false conta em tempo sem escala (não desacelera na câmera lenta).
+   * @returns {number} Id para cancel().
+   */
+  schedule(callback, delay, { scaled = true } = {}) {
+    const id = this.nextTimerId++;
+    const at = (scaled ? this.now() : this.unscaledNow()) + delay;
+    this.timers.set(id, { callback, at, scaled });
+    return id;
+  }
+
+  cancel(id) {
+    this.timers.delete(id);
+  }
+
+  clearTimers() {
+    this.timers.clear();
+  }
+
+  // Executa as funções vencidas, na ordem do horário agendado (empate: ordem de agendamento)
+  runTimers() {
+    const due = [];
+    for (const [id, timer] of this.timers) {
+      const now = timer.scaled ? this.now() : this.unscaledNow();
+      if (now >= timer.at) due.push({ id, ...timer });
+    }
+    due.sort((a, b) => (a.at - b.at) || (a.id - b.id));
+
+    for (const timer of due) {
+      // Pode ter sido cancelada por uma função anterior
+      if (!this.timers.delete(timer.id)) continue;
+      timer.callback();
+    }
+  }
+
+  /**
+   * Escala atual do mundo (1.0 = normal). Câmeras lentas não acumulam: vale a mais forte.
+   */
+  getTimeScale() {
+    const slowest = this.slowDowns.reduce((scale, slowDown) => Math.min(scale, slowDown.scale), 1.0);
+    return this.baseTimeScale * slowest;
+  }
+
+  setTimeScale(scale) {
+    this.baseTimeScale = Math.max(0, scale);
+  }
+
+  /**
+   * Deixa o mundo em câmera lenta por um tempo.
+   * @param {number} scale - Ex: 0.3 = 30% da velocidade.
+   * @param {number} duration - Segundos (tempo real).
+   */
+  slowDown(scale, duration) {
+    this.slowDowns.push({ scale: Math.max(0, scale), remaining: duration });
+  }
+
+  clearSlowDowns() {
+    this.slowDowns = [];
+  }
+
+  isSlowed() {
+    return this.getTimeScale() < 1.0;
+  }
+
+  // Tempo do mundo em ms (no lugar de Date.now())
+  now() {
+    return this.time * 1000;
+  }
+
+  // Tempo de jogo sem escala em ms
+  unscaledNow() {
+    return this.unscaledTime * 1000;
+  }
+}
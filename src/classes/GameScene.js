@@ -1,8 +1,16 @@
 import * as THREE from 'three';
 import { GrassGenerator } from './GrassGenerator.js';
+import { getQualityPreset } from './QualityPresets.js';
+import { Random } from './Random.js';
+import { enableBloom } from './PostProcessing.js';
 
 export class GameScene {
-  constructor() {
+  /**
+   * @param {Random} [random] - Fluxo cosmético para grama e nuvens.
+   */
+  constructor(quality = getQualityPreset(), random = new Random()) {
+    this.quality = quality;
+    this.random = random;
     this.scene = new THREE.Scene();
     this.scene.background = new THREE.Color(0x87ceeb);
     this.scene.fog = new THREE.Fog(0x87ceeb, 500, 1000);
@@ -24,15 +32,55 @@ export class GameScene {
     this.scene.add(ambientLight);
 
     const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    this.directionalLight = directionalLight;
     directionalLight.position.set(100, 100, 50);
     directionalLight.castShadow = true;
-    directionalLight.shadow.mapSize.width = 2048;
-    directionalLight.shadow.mapSize.height = 2048;
+    directionalLight.shadow.mapSize.width = this.quality.shadowMapSize;
+    directionalLight.shadow.mapSize.height = this.quality.shadowMapSize;
     directionalLight.shadow.camera.left = -500;
     directionalLight.shadow.camera.right = 500;
     directionalLight.shadow.camera.top = 500;
     directionalLight.shadow.camera.bottom = -500;
     this.scene.add(directionalLight);
+
+    // A passada de bloom só vê a camada de bloom: as luzes precisam estar nela
+    // para iluminar o Necromante e os cristais de gelo também ali
+    enableBloom(ambientLight);
+    enableBloom(directionalLight);
+  }
+
+  setShadowsEnabled(enabled) {
+    this.directionalLight.castShadow = enabled;
+  }
+
+  /**
+   * Troca o nível de qualidade, reconstruindo só o que mudou
+   * (grama, mapa de sombras, geometria das nuvens).
+   */
+  setQuality(quality) {
+    const previous = this.quality;
+    this.quality = quality;
+
+    if (quality.grassBlades !== previous.grassBlades) this.createGrass();
+
+    if (quality.shadowMapSize !== previous.shadowMapSize) {
+      const { shadow } = this.directionalLight;
+      shadow.mapSize.set(quality.shadowMapSize, quality.shadowMapSize);
+      // O renderizador recria o mapa no próximo frame com o novo tamanho
+      if (shadow.map) {
+        shadow.map.dispose();
+        shadow.map = null;
+      }
+    }
+
+    if (quality.cloudSegments.join() !== previous.cloudSegments.join()) {
+      for (const { mesh: cloud } of this.clouds) {
+        cloud.children.forEach((part, i) => {
+          part.geometry.dispose();
+          part.geometry = this.createCloudGeometry(i);
+        });
+      }
+    }
   }
 
   setupGround() {
@@ -45,14 +93,27 @@ export class GameScene {
     ground.receiveShadow = true;
     this.scene.add(ground);
 
+    this.createGrass();
+  }
+
+  // (Re)gera a grama com a quantidade de lâminas do nível de qualidade
+  createGrass() {
+    const previousMesh = this.grassGenerator?.getMesh();
+    if (previousMesh) {
+      this.scene.remove(previousMesh);
+      previousMesh.geometry.dispose();
+      previousMesh.material.dispose();
+    }
+
     // Instanciação correta do Gerador de Grama
     // Parâmetros ajustados para grama rasteira e fina
     this.grassGenerator = new GrassGenerator({
       planeSize: this.mapSize,
-      bladeCount: 500000,
+      bladeCount: this.quality.grassBlades,
       bladeWidth: 0.04,        // Largura fina
       bladeHeight: 0.12,       // Altura baixa
       bladeHeightVariation: 0.05, 
+      random: this.random,
     });
 
     const grassMesh = this.grassGenerator.generate();
@@ -95,6 +156,7 @@ export class GameScene {
       width: width,
       height: height,
       depth: depth,
+      mesh: barrier, // Raycast dos feixes
     });
   }
 
@@ -111,14 +173,14 @@ export class GameScene {
     for (let i = 0; i < cloudCount; i++) {
       const cloud = this.createCloud();
       cloud.position.set(
-        Math.random() * 400 - 200,
-        100 + Math.random() * 50,
-        Math.random() * 400 - 200
+        this.random.next() * 400 - 200,
+        100 + this.random.next() * 50,
+        this.random.next() * 400 - 200
       );
       this.clouds.push({
         mesh: cloud,
-        speed: 10 + Math.random() * 20,
-        distance: Math.random()*20,
+        speed: 10 + this.random.next() * 20,
+        distance: this.random.next()*20,
       });
     }
   }
@@ -133,7 +195,7 @@ export class GameScene {
 
     const cloudParts = 3;
     for (let i = 0; i < cloudParts; i++) {
-      const geometry = new THREE.SphereGeometry(24 + i * 2, 24, 12);
+      const geometry = this.createCloudGeometry(i);
       const mesh = new THREE.Mesh(geometry, cloudMaterial);
       mesh.position.x = (i - 1) * 8;
       mesh.castShadow = true;
@@ -145,6 +207,11 @@ export class GameScene {
     return cloudGroup;
   }
 
+  createCloudGeometry(part) {
+    const [widthSegments, heightSegments] = this.quality.cloudSegments;
+    return new THREE.SphereGeometry(24 + part * 2, widthSegments, heightSegments);
+  }
+
   updateClouds(deltaTime = 0.016) {
     for (const cloudData of this.clouds) {
       cloudData.distance += cloudData.speed * deltaTime;
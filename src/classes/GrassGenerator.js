@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { grassShader } from './GrassShader.js';
+import { Random } from './Random.js';
 
 export class GrassGenerator {
   constructor(options = {}) {
@@ -12,6 +13,8 @@ export class GrassGenerator {
       ...options,
     };
 
+    // Fluxo cosmético (posição e formato das folhas)
+    this.random = this.options.random || new Random();
     this.startTime = Date.now();
     this.mesh = null;
     this.playerPosition = new THREE.Vector3();
@@ -31,8 +34,8 @@ export class GrassGenerator {
       const surfaceMin = this.options.planeSize / 2 * -1;
       const surfaceMax = this.options.planeSize / 2;
 
-      const x = Math.random() * (surfaceMax - surfaceMin) + surfaceMin;
-      const z = Math.random() * (surfaceMax - surfaceMin) + surfaceMin;
+      const x = this.random.next() * (surfaceMax - surfaceMin) + surfaceMin;
+      const z = this.random.next() * (surfaceMax - surfaceMin) + surfaceMin;
 
       const pos = new THREE.Vector3(x, 0, z);
       this.grassPositions.push(pos.clone()); 
@@ -78,12 +81,12 @@ export class GrassGenerator {
     const { bladeWidth, bladeHeight, bladeHeightVariation } = this.options;
     const midWidth = bladeWidth * 0.5;
     const tipOffset = 0.1;
-    const height = bladeHeight + Math.random() * bladeHeightVariation;
+    const height = bladeHeight + this.random.next() * bladeHeightVariation;
 
-    const yaw = Math.random() * Math.PI * 2;
+    const yaw = this.random.next() * Math.PI * 2;
     const yawUnitVec = new THREE.Vector3(Math.sin(yaw), 0, -Math.cos(yaw));
 
-    const tipBend = Math.random() * Math.PI * 2;
+    const tipBend = this.random.next() * Math.PI * 2;
     const tipBendUnitVec = new THREE.Vector3(Math.sin(tipBend), 0, -Math.cos(tipBend));
 
     const bl = new THREE.Vector3().addVectors(center, yawUnitVec.clone().multiplyScalar(bladeWidth / 2));
@@ -0,0 +1,174 @@
+/**
+ * HighScoreStore - Recordes e histórico de partidas (localStorage)
+ * Guarda cada partida encerrada; os placares são agrupados por dificuldade
+ * e mago selecionado. Exporta/importa JSON para comparar partidas entre jogadores.
+ */
+
+const STORAGE_KEY = 'highScores';
+const FORMAT_VERSION = 1;
+const MAX_RUNS = 200; // Histórico mantido (as partidas mais antigas saem primeiro)
+const BOARD_SIZE = 10; // Melhores partidas de cada placar, mantidas mesmo fora do histórico
+
+export const NO_MAGE = { id: 0, nome: 'Sem mago', icon: '✦' };
+
+/**
+ * Chave do placar de uma partida: "dificuldade|id do mago".
+ */
+export function getBoardKey(difficulty, mage) {
+  return `${difficulty || 'normal'}|${(mage || NO_MAGE).id}`;
+}
+
+const OPTIONAL_NUMBERS = ['horde', 'kills', 'accuracy', 'timeSurvived', 'bestStreak', 'seed'];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Contagens por tipo/feitiço: { chave: número }
+const isCountMap = (value) => isPlainObject(value) && Object.values(value).every(Number.isFinite);
+
+function isValidMage(mage) {
+  return isPlainObject(mage)
+    && Number.isFinite(mage.id)
+    && typeof mage.nome === 'string'
+    && typeof mage.icon === 'string';
+}
+
+/**
+ * Partidas importadas vêm de arquivos de terceiros: cada campo precisa ter o
+ * tipo esperado (números são números, mago tem id/nome/ícone) antes de ir para a página.
+ */
+function isValidRun(run) {
+  return isPlainObject(run)
+    && typeof run.id === 'string'
+    && Number.isFinite(run.score)
+    && typeof run.date === 'string'
+    && !Number.isNaN(Date.parse(run.date))
+    && (run.difficulty === undefined || typeof run.difficulty === 'string')
+    && (run.mage === undefined || isValidMage(run.mage))
+    && OPTIONAL_NUMBERS.every(key => run[key] === undefined || Number.isFinite(run[key]))
+    && (run.killsByType === undefined || isCountMap(run.killsByType))
+    && (run.castsBySpell === undefined || isCountMap(run.castsBySpell));
+}
+
+export class HighScoreStore {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Todas as partidas salvas, da mais recente para a mais antiga.
+   */
+  getRuns() {
+    try {
+      const data = JSON.parse(this.storage.getItem(STORAGE_KEY));
+      // Filtra também entradas importadas antes da validação completa
+      return Array.isArray(data?.runs) ? data.runs.filter(isValidRun) : [];
+    } catch (e) {
+      console.warn('Recordes inválidos no localStorage:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Salva as MAX_RUNS partidas mais recentes mais as BOARD_SIZE melhores de cada
+   * placar (recordes antigos não são apagados pelo histórico).
+   * @returns {Array} As partidas mantidas, da mais recente para a mais antiga.
+   */
+  saveRuns(runs) {
+    const sorted = [...runs].sort((a, b) => Date.parse(b.date) - Date.parse(a.date));
+    const kept = new Set(sorted.slice(0, MAX_RUNS));
+
+    const boards = new Map();
+    for (const run of sorted) {
+      const key = getBoardKey(run.difficulty, run.mage);
+      if (!boards.has(key)) boards.set(key, []);
+      boards.get(key).push(run);
+    }
+    for (const board of boards.values()) {
+      board.sort((a, b) => b.score - a.score)
+        .slice(0, BOARD_SIZE)
+        .forEach(run => kept.add(run));
+    }
+
+    const saved = sorted.filter(run => kept.has(run));
+    this.storage.setItem(STORAGE_KEY, JSON.stringify({ version: FORMAT_VERSION, runs: saved }));
+    return saved;
+  }
+
+  /**
+   * Registra uma partida encerrada.
+   * @param {object} run - { score, difficulty, seed, mage, horde, kills, killsByType, castsBySpell, accuracy, timeSurvived, bestStreak }
+   * @returns {{run: object, rank: number}} A entrada salva e sua posição no placar (1 = recorde).
+   */
+  addRun(run) {
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      date: new Date().toISOString(),
+      mage: NO_MAGE,
+      difficulty: 'normal',
+      ...run
+    };
+
+    this.saveRuns([entry, ...this.getRuns()]);
+
+    const board = this.getBoard(entry.difficulty, entry.mage, Infinity);
+    return { run: entry, rank: board.findIndex(r => r.id === entry.id) + 1 };
+  }
+
+  /**
+   * Partidas de um placar, ordenadas pela pontuação.
+   */
+  getBoard(difficulty, mage, limit = BOARD_SIZE) {
+    const key = getBoardKey(difficulty, mage);
+    return this.getRuns()
+      .filter(run => getBoardKey(run.difficulty, run.mage) === key)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Placares existentes: [{ key, difficulty, mage, count }].
+   */
+  getBoards() {
+    const boards = new Map();
+    for (const run of this.getRuns()) {
+      const key = getBoardKey(run.difficulty, run.mage);
+      if (!boards.has(key)) {
+        boards.set(key, { key, difficulty: run.difficulty, mage: run.mage || NO_MAGE, count: 0 });
+      }
+      boards.get(key).count++;
+    }
+    return Array.from(boards.values());
+  }
+
+  exportJSON() {
+    return JSON.stringify({
+      version: FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      runs: this.getRuns()
+    }, null, 2);
+  }
+
+  /**
+   * Mescla partidas de um JSON exportado (ignora duplicadas pelo id).
+   * @returns {number} Quantidade de partidas novas que ficaram salvas
+   *   (partidas antigas fora do histórico e dos placares são descartadas).
+   */
+  importJSON(json) {
+    const data = JSON.parse(json);
+    const incoming = Array.isArray(data) ? data : data?.runs;
+    if (!Array.isArray(incoming)) {
+      throw new Error('Arquivo de recordes inválido: lista de partidas não encontrada');
+    }
+
+    const runs = this.getRuns();
+    const known = new Set(runs.map(run => run.id));
+    const added = incoming.filter(run => isValidRun(run) && !known.has(run.id));
+
+    const saved = new Set(this.saveRuns([...runs, ...added]));
+    return added.filter(run => saved.has(run)).length;
+  }
+
+  clear() {
+    this.storage.removeItem(STORAGE_KEY);
+  }
+}
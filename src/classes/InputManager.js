@@ -11,11 +11,19 @@ export class InputManager {
       arrowRight: false,
     };
 
+    // Teclas genéricas atualmente pressionadas (ex: feitiços canalizados)
+    this.heldKeys = new Set();
+
     this.isPointerLocked = false;
     this.mouseSensitivity = 0.003;
+    this.invertY = false;
+    // Tecla do microfone (alternar escuta ou push-to-talk)
+    this.voiceKey = 'v';
 
     this.onMouseMove = null;
     this.onJump = null;
+    this.onVoiceKeyDown = null;
+    this.onVoiceKeyUp = null;
     this.onMouseDown = null;
     this.onPointerLockChange = null;
 
@@ -59,16 +67,39 @@ export class InputManager {
         document.webkitPointerLockElement === document.body
       );
       console.log('Pointer Lock:', this.isPointerLocked ? 'ATIVADO ✓' : 'DESATIVADO ✗');
+      if (!this.isPointerLocked) this.releaseAllKeys();
       this.onPointerLockChange?.(this.isPointerLocked);
     };
 
     document.addEventListener('pointerlockchange', pointerLockChangeHandler);
     document.addEventListener('mozpointerlockchange', pointerLockChangeHandler);
     document.addEventListener('webkitpointerlockchange', pointerLockChangeHandler);
+
+    // Soltar uma tecla com a janela sem foco não gera keyup
+    window.addEventListener('blur', () => this.releaseAllKeys());
+  }
+
+  /**
+   * Solta todas as teclas (perda de foco ou do pointer lock).
+   */
+  releaseAllKeys() {
+    const voiceKeyHeld = this.heldKeys.has(this.voiceKey);
+    this.heldKeys.clear();
+    Object.keys(this.keys).forEach(key => this.keys[key] = false);
+    if (voiceKeyHeld) this.onVoiceKeyUp?.();
+  }
+
+  /**
+   * Aplica as configurações de controle (sensibilidade 1-10, padrão 5 = 0.003).
+   */
+  applySettings({ mouseSensitivity = 5, invertY = false }) {
+    this.mouseSensitivity = mouseSensitivity * 0.0006;
+    this.invertY = invertY;
   }
 
   handleKeyDown(e) {
     const key = e.key.toLowerCase();
+    this.heldKeys.add(key);
 
     if (key === 'w') {
       this.keys.w = true;
@@ -103,10 +134,16 @@ export class InputManager {
       e.preventDefault();
       this.onJump?.();
     }
+
+    // Ignora a repetição automática da tecla segurada
+    if (key === this.voiceKey && !e.repeat) {
+      this.onVoiceKeyDown?.();
+    }
   }
 
   handleKeyUp(e) {
     const key = e.key.toLowerCase();
+    this.heldKeys.delete(key);
 
     if (key === 'w') this.keys.w = false;
     if (key === 'a') this.keys.a = false;
@@ -116,19 +153,25 @@ export class InputManager {
     if (e.key === 'ArrowDown') this.keys.arrowDown = false;
     if (e.key === 'ArrowLeft') this.keys.arrowLeft = false;
     if (e.key === 'ArrowRight') this.keys.arrowRight = false;
+
+    if (key === this.voiceKey) this.onVoiceKeyUp?.();
   }
 
   handleMouseMove(e) {
     if (!this.isPointerLocked) return;
 
     const movementX = e.movementX || e.mozMovementX || e.webkitMovementX || 0;
-    const movementY = e.movementY || e.mozMovementY || e.webkitMovementY || 0;
+    const movementY = (e.movementY || e.mozMovementY || e.webkitMovementY || 0) * (this.invertY ? -1 : 1);
 
     if (movementX !== 0 || movementY !== 0) {
       this.onMouseMove?.(movementX, movementY);
     }
   }
 
+  isKeyHeld(key) {
+    return this.heldKeys.has(key.toLowerCase());
+  }
+
   isMovingForward() {
     return this.keys.w || this.keys.arrowUp;
   }
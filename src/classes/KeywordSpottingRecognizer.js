@@ -0,0 +1,298 @@
+import { SpeechRecognizer } from './SpeechRecognizer.js';
+import { getVocabularyPack } from './VocabularyPacks.js';
+
+/**
+ * KeywordSpottingRecognizer - Reconhecimento local de palavras-chave
+ * Roda inteiramente no navegador sobre o stream do microfone: mantém uma
+ * janela deslizante de áudio e, quando há energia de voz, pede ao modelo
+ * as probabilidades de cada palavra-chave. Não depende de serviço na nuvem,
+ * mas só reconhece o vocabulário fechado do modelo.
+ *
+ * Tudo que depende do navegador é injetável (testes, outros runtimes):
+ * - model: objeto com `predict(samples: Float32Array) => Promise<{[label]: score}>`.
+ * - loadModel: `(options) => Promise<model>`; por padrão um modelo ONNX (`OnnxKeywordModel`).
+ * - runtime: onnxruntime-web; por padrão `window.ort`, carregado pela página.
+ * - frameSource: origem dos blocos de áudio; por padrão o microfone (`MicrophoneFrameSource`).
+ *
+ * Se o modelo não carregar, emite o erro 'model-unavailable' e encerra a sessão.
+ */
+
+export const MODEL_UNAVAILABLE = 'model-unavailable';
+
+const DEFAULT_OPTIONS = {
+  // Um modelo por idioma; `{lang}` é trocado pelo idioma do reconhecimento
+  modelUrl: '/models/keywords-{lang}.onnx',
+  labels: null,          // Ordem das saídas do modelo; padrão: getKeywordLabels(lang)
+  sampleRate: 16000,     // Taxa esperada pelo modelo
+  windowSeconds: 1.0,    // Duração da janela analisada
+  hopMs: 250,            // Intervalo entre inferências
+  threshold: 0.75,       // Probabilidade mínima para aceitar uma palavra
+  energyThreshold: 0.01, // RMS mínimo do último trecho para rodar o modelo
+  refractoryMs: 800      // Tempo sem emitir após uma detecção (evita repetir a mesma palavra)
+};
+
+/**
+ * Rótulos do modelo de um idioma: silêncio, desconhecido e a palavra mágica
+ * principal de cada feitiço do pacote de vocabulário.
+ * Rótulos iniciados com '_' nunca são emitidos.
+ */
+export function getKeywordLabels(lang) {
+  const pack = getVocabularyPack(lang);
+  const keywords = Object.values(pack.spells).map(spell => spell.aliases[0]);
+  return ['_silence_', '_unknown_', ...keywords];
+}
+
+/**
+ * Modelo ONNX de classificação de palavras-chave.
+ * Entrada: [1, N] float32 (áudio mono na taxa do modelo). Saída: logits por rótulo.
+ */
+export class OnnxKeywordModel {
+  constructor(runtime, session, labels) {
+    this.runtime = runtime;
+    this.session = session;
+    this.labels = labels;
+  }
+
+  static async load(url, labels, runtime = window.ort) {
+    if (!runtime) {
+      throw new Error('onnxruntime-web não carregado (window.ort)');
+    }
+    const session = await runtime.InferenceSession.create(url);
+    return new OnnxKeywordModel(runtime, session, labels);
+  }
+
+  async predict(samples) {
+    const input = new this.runtime.Tensor('float32', samples, [1, samples.length]);
+    const outputs = await this.session.run({ [this.session.inputNames[0]]: input });
+    const logits = outputs[this.session.outputNames[0]].data;
+
+    // Softmax
+    const max = Math.max(...logits);
+    const exps = Array.from(logits, value => Math.exp(value - max));
+    const sum = exps.reduce((a, b) => a + b, 0);
+
+    const scores = {};
+    this.labels.forEach((label, i) => {
+      scores[label] = exps[i] / sum;
+    });
+    return scores;
+  }
+}
+
+/**
+ * Blocos contíguos de áudio do microfone.
+ * Interface de uma origem de áudio: `isSupported`, `start(onFrame) => Promise<sampleRate>` e `stop()`.
+ */
+export class MicrophoneFrameSource {
+  constructor() {
+    this.isSupported = typeof navigator !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+    this.stream = null;
+    this.audioContext = null;
+    this.processor = null;
+  }
+
+  async start(onFrame) {
+    this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+    const source = this.audioContext.createMediaStreamSource(this.stream);
+    // ScriptProcessor entrega blocos contíguos de áudio (o Analyser só dá o último trecho)
+    this.processor = this.audioContext.createScriptProcessor(4096, 1, 1);
+    const mute = this.audioContext.createGain();
+    mute.gain.value = 0;
+
+    this.processor.onaudioprocess = (event) => {
+      onFrame(event.inputBuffer.getChannelData(0));
+    };
+
+    source.connect(this.processor);
+    this.processor.connect(mute);
+    mute.connect(this.audioContext.destination);
+    return this.audioContext.sampleRate;
+  }
+
+  stop() {
+    if (this.processor) {
+      this.processor.onaudioprocess = null;
+      this.processor.disconnect();
+      this.processor = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+  }
+}
+
+export class KeywordSpottingRecognizer extends SpeechRecognizer {
+  /**
+   * @param {object} [options] - Sobrescreve DEFAULT_OPTIONS; aceita também
+   * `model`, `loadModel`, `runtime` e `frameSource` (ver o topo do arquivo).
+   */
+  constructor(options = {}) {
+    super();
+    const { model = null, loadModel = null, runtime = null, frameSource = null, ...rest } = options;
+    this.options = { ...DEFAULT_OPTIONS, ...rest };
+    this.model = model;
+    this.hasInjectedModel = !!model;
+    this.loadModel = loadModel || ((opts) => OnnxKeywordModel.load(opts.modelUrl, opts.labels, runtime ?? window.ort));
+    this.frameSource = frameSource || new MicrophoneFrameSource();
+
+    this.isSupported = this.frameSource.isSupported;
+    this.usesMicrophone = true;
+
+    this.isRunning = false;
+    this.isInferring = false;
+    this.sampleRate = this.options.sampleRate;
+    this.buffer = null;
+    this.samplesSinceHop = 0;
+    this.refractoryUntil = 0;
+    this.detectionCount = 0;
+  }
+
+  setLanguage(lang) {
+    if (lang === this.lang) return;
+    super.setLanguage(lang);
+    // O modelo é do idioma anterior: recarregado no próximo start()
+    if (!this.hasInjectedModel) this.model = null;
+  }
+
+  getLabels() {
+    return this.options.labels || getKeywordLabels(this.lang);
+  }
+
+  async start() {
+    if (!this.isSupported || this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      if (!this.model) {
+        this.model = await this.loadModel({
+          ...this.options,
+          modelUrl: this.options.modelUrl.replace('{lang}', this.lang),
+          labels: this.getLabels()
+        });
+      }
+    } catch (err) {
+      console.error('Erro ao carregar o modelo de palavras-chave:', err);
+      this.isRunning = false;
+      this.emitError(MODEL_UNAVAILABLE);
+      this.emitEnd();
+      return;
+    }
+
+    try {
+      if (!this.isRunning) return; // stop() chegou enquanto o modelo carregava
+      this.sampleRate = await this.frameSource.start(samples => this.pushSamples(samples));
+      this.buffer = new Float32Array(Math.round(this.sampleRate * this.options.windowSeconds));
+      this.samplesSinceHop = 0;
+    } catch (err) {
+      console.error('Erro ao iniciar reconhecimento local:', err);
+      this.isRunning = false;
+      this.frameSource.stop();
+      this.emitError(err.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture');
+      this.emitEnd();
+      return;
+    }
+
+    // stop() pode ter sido chamado enquanto o microfone abria
+    if (!this.isRunning) {
+      this.frameSource.stop();
+      return;
+    }
+    this.emitStart();
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    this.frameSource.stop();
+    this.emitEnd();
+  }
+
+  // Janela deslizante: descarta o início e anexa o bloco novo no fim
+  pushSamples(samples) {
+    const { buffer } = this;
+    if (!buffer) return;
+    if (samples.length >= buffer.length) {
+      buffer.set(samples.subarray(samples.length - buffer.length));
+    } else {
+      buffer.copyWithin(0, samples.length);
+      buffer.set(samples, buffer.length - samples.length);
+    }
+
+    this.samplesSinceHop += samples.length;
+    const hopSamples = this.sampleRate * this.options.hopMs / 1000;
+    if (this.samplesSinceHop >= hopSamples) {
+      const recent = this.samplesSinceHop;
+      this.samplesSinceHop = 0;
+      return this.detect(recent);
+    }
+  }
+
+  async detect(recentSamples) {
+    if (this.isInferring || Date.now() < this.refractoryUntil) return;
+    if (this.getRms(recentSamples) < this.options.energyThreshold) return;
+
+    this.isInferring = true;
+    try {
+      const samples = this.resample(this.buffer, this.sampleRate, this.options.sampleRate);
+      const scores = await this.model.predict(samples);
+      if (this.isRunning) this.handleScores(scores);
+    } catch (err) {
+      console.error('Erro na inferência de palavras-chave:', err);
+      this.emitError(err.message || String(err));
+    } finally {
+      this.isInferring = false;
+    }
+  }
+
+  handleScores(scores) {
+    const alternatives = Object.entries(scores)
+      .filter(([label]) => !label.startsWith('_'))
+      .map(([label, score]) => ({ transcript: label, confidence: score }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    if (alternatives.length === 0 || alternatives[0].confidence < this.options.threshold) return;
+
+    this.refractoryUntil = Date.now() + this.options.refractoryMs;
+    this.detectionCount++;
+    this.emitResult({
+      alternatives: alternatives.slice(0, 3),
+      isFinal: true,
+      utteranceId: `kws:${this.detectionCount}`
+    });
+  }
+
+  // RMS das últimas `count` amostras da janela
+  getRms(count) {
+    const { buffer } = this;
+    const start = Math.max(0, buffer.length - count);
+    let sum = 0;
+    for (let i = start; i < buffer.length; i++) {
+      sum += buffer[i] * buffer[i];
+    }
+    return Math.sqrt(sum / Math.max(1, buffer.length - start));
+  }
+
+  // Reamostragem linear para a taxa do modelo
+  resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples.slice();
+
+    const ratio = fromRate / toRate;
+    const length = Math.floor(samples.length / ratio);
+    const output = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const position = i * ratio;
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, samples.length - 1);
+      const fraction = position - index;
+      output[i] = samples[index] * (1 - fraction) + samples[next] * fraction;
+    }
+    return output;
+  }
+}
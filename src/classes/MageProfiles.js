@@ -0,0 +1,216 @@
+import { mergeDefinition } from './SpellRegistry.js';
+
+/**
+ * MageProfiles - Efeito do mago escolhido (magos.html) na partida
+ * Os atributos do mago (poder/defesa/velocidade, 0-100) viram multiplicadores
+ * de dano, vida, dano recebido e velocidade; cada mago também traz um feitiço
+ * assinatura, ajustes nos feitiços padrão e uma paleta de cores para eles.
+ * Sem mago escolhido, tudo fica neutro (multiplicadores 1.0).
+ */
+
+// Atributo de referência: 75 não muda nada, cada ponto acima/abaixo vale 1%
+const BASE_STAT = 75;
+
+const spellSound = '/sounds/jump-fall.mp3';
+
+export const mageProfiles = {
+  // Arcano: míssil rápido de magia pura que explode em faíscas
+  1: {
+    tint: 0x6a8cff,
+    signature: {
+      id: 'arcane',
+      sound: spellSound,
+      cooldown: 700,
+      behavior: 'projectile',
+      damage: 30,
+      knockback: 4.0,
+      projectile: {
+        speed: 150,
+        radius: 0.5,
+        segments: 10,
+        material: { color: 0x8899ff, emissive: 0x3344ff, emissiveIntensity: 2 },
+        core: { scale: 0.5, color: 0xffffff },
+        light: { color: 0x6677ff, intensity: 6, distance: 12 }
+      },
+      trail: {
+        spread: 0.5,
+        particles: [{ type: 'magic', count: 1, options: { speed: 0.05, decay: 0.08 } }]
+      },
+      impact: {
+        explosion: { radius: 4, damage: 15, knockback: 8.0 },
+        ring: { color: 0x8899ff, decay: 0.06 },
+        particles: [{ type: 'spark', count: 30, options: { speed: 0.8, decay: 0.04 } }]
+      }
+    }
+  },
+  // Sombra: dardo que amaldiçoa (inimigo recebe mais dano e causa menos)
+  2: {
+    tint: 0x7a2fa0,
+    signature: {
+      id: 'shadow',
+      sound: spellSound,
+      cooldown: 1200,
+      behavior: 'projectile',
+      damage: 12,
+      knockback: 0.5,
+      status: { id: 'cursed', duration: 6.0 },
+      projectile: {
+        speed: 108,
+        radius: 0.4,
+        segments: 8,
+        material: { color: 0x220033, emissive: 0x6600aa, emissiveIntensity: 1.5 },
+        light: { color: 0x9933ff, intensity: 4, distance: 10 }
+      },
+      trail: {
+        spread: 0.4,
+        particles: [{ type: 'smoke', count: 1, options: { speed: 0.05, decay: 0.06, scale: 1.5 } }]
+      },
+      impact: {
+        particles: [{ type: 'magic', count: 25, options: { speed: 0.4, decay: 0.04 } }]
+      }
+    }
+  },
+  // Chama: anel de fogo ao redor do mago que deixa o chão em chamas
+  3: {
+    tint: 0xff5a1f,
+    overrides: {
+      fireball: { impact: { burningZone: { burnDamagePerSecond: 12 } } }
+    },
+    signature: {
+      id: 'inferno',
+      sound: spellSound,
+      cooldown: 6000,
+      behavior: 'area',
+      damage: 20,
+      knockback: 10.0,
+      area: { radius: 10 },
+      impact: {
+        ring: { color: 0xff6600, decay: 0.03 },
+        particles: [{ type: 'fire', count: 120, options: { speed: 1.2, decay: 0.02, scale: 3.0 } }],
+        burningZone: {
+          radius: 10,
+          duration: 5000,
+          burnDamagePerSecond: 10,
+          burnDuration: 2.0,
+          damagesPlayer: false,
+          playerDamagePerSecond: 0
+        }
+      }
+    }
+  },
+  // Gelo: o gelo acumula lentidão em dobro (congela mais rápido) e a nevasca resfria tudo ao redor
+  4: {
+    tint: 0x7fdcff,
+    overrides: {
+      ice: { chill: { stacks: 2 } }
+    },
+    signature: {
+      id: 'blizzard',
+      sound: spellSound,
+      cooldown: 5000,
+      behavior: 'area',
+      damage: 8,
+      knockback: 2.0,
+      area: { radius: 14 },
+      chill: { stacks: 2, duration: 5.0, freezeDuration: 3.0 },
+      impact: {
+        ring: { color: 0xbbeeff, decay: 0.025 },
+        particles: [{ type: 'ice', count: 80, options: { speed: 1.0, decay: 0.02, scale: 2.0 } }]
+      }
+    }
+  },
+  // Natureza: recupera vida (mais com a voz forte)
+  5: {
+    tint: 0x5fd35f,
+    signature: {
+      id: 'regrowth',
+      sound: spellSound,
+      cooldown: 8000,
+      behavior: 'self',
+      heal: 25,
+      impact: {
+        ring: { color: 0x66ff66, radius: 4, decay: 0.04 },
+        particles: [{ type: 'magic', count: 30, options: { speed: 0.3, decay: 0.03 } }]
+      }
+    }
+  },
+  // Temporal: câmera lenta no mundo (inimigos e projéteis a 30%) enquanto o mago segue normal
+  6: {
+    tint: 0xffe066,
+    signature: {
+      id: 'slowTime',
+      sound: spellSound,
+      cooldown: 12000,
+      behavior: 'self',
+      timeScale: { scale: 0.3, duration: 4.0 }, // Segundos reais (ver GameClock.slowDown)
+      impact: {
+        ring: { color: 0xffe066, radius: 20, decay: 0.015 },
+        particles: [{ type: 'spark', count: 60, options: { speed: 0.6, decay: 0.02 } }]
+      }
+    }
+  }
+};
+
+/**
+ * Multiplicadores de jogo a partir dos atributos do mago.
+ */
+export function getMageModifiers(mage) {
+  const stats = mage?.stats;
+  if (!stats) return { damage: 1, maxHP: 1, damageTaken: 1, moveSpeed: 1 };
+
+  const bonus = (stat) => ((stat ?? BASE_STAT) - BASE_STAT) / 100;
+  return {
+    damage: 1 + bonus(stats.poder),
+    maxHP: 1 + bonus(stats.defesa),
+    damageTaken: 1 - bonus(stats.defesa) / 2,
+    moveSpeed: 1 + bonus(stats.velocidade)
+  };
+}
+
+// Mistura duas cores hex (t = 0 mantém `color`, t = 1 vira `tint`)
+function mixColor(color, tint, t) {
+  const channel = (hex, shift) => (hex >> shift) & 0xff;
+  const mix = (shift) => Math.round(channel(color, shift) + (channel(tint, shift) - channel(color, shift)) * t);
+  return (mix(16) << 16) | (mix(8) << 8) | mix(0);
+}
+
+/**
+ * Ajustes de cada feitiço para o mago: paleta tingida com a cor do mago
+ * (projétil, luz, núcleo, feixe e anel) mais os ajustes próprios do perfil.
+ * @param {object[]} definitions - Definições dos feitiços padrão.
+ * @returns {object} { [spellId]: definição parcial } (ver SpellRegistry.setOverrides)
+ */
+export function getMageSpellOverrides(profile, definitions, strength = 0.35) {
+  if (!profile) return {};
+
+  const overrides = {};
+  for (const spell of definitions) {
+    const tinted = {};
+    const { projectile, beam, impact } = spell;
+
+    if (projectile) {
+      tinted.projectile = {};
+      if (projectile.material) {
+        tinted.projectile.material = { color: mixColor(projectile.material.color, profile.tint, strength) };
+        if (projectile.material.emissive !== undefined) {
+          tinted.projectile.material.emissive = mixColor(projectile.material.emissive, profile.tint, strength);
+        }
+      }
+      if (projectile.light) tinted.projectile.light = { color: mixColor(projectile.light.color, profile.tint, strength) };
+      if (projectile.core) tinted.projectile.core = { color: mixColor(projectile.core.color, profile.tint, strength) };
+    }
+    if (beam) tinted.beam = { color: mixColor(beam.color, profile.tint, strength) };
+    if (impact?.ring) tinted.impact = { ring: { color: mixColor(impact.ring.color, profile.tint, strength) } };
+
+    overrides[spell.id] = tinted;
+  }
+
+  for (const [id, override] of Object.entries(profile.overrides || {})) {
+    overrides[id] = mergeDefinition(overrides[id] || {}, override);
+  }
+  return overrides;
+}
+
+export function getMageProfile(mage) {
+  return mage ? mageProfiles[mage.id] || null : null;
+}
@@ -1,44 +1,63 @@
 import * as THREE from 'three';
+import { enableBloom } from './PostProcessing.js';
+import { Random } from './Random.js';
+
+// Partículas que brilham no bloom (fumaça e água ficam de fora)
+const GLOWING_TYPES = new Set(['fire', 'magic', 'spark', 'ice', 'steam']);
 
 export class ParticleSystem {
-  constructor(scene) {
+  /**
+   * @param {Random} [random] - Fluxo cosmético (partículas não afetam o gameplay).
+   */
+  constructor(scene, random = new Random()) {
     this.scene = scene;
+    this.random = random;
     this.particles = [];
+    this.rings = [];
+    // Limites de partículas e anéis vivos (definidos pelo nível de qualidade)
+    this.maxParticles = Infinity;
+    this.maxRings = Infinity;
 
     this.particleGeometry = new THREE.BoxGeometry(0.2, 0.2, 0.2);
+    // Anel unitário; o raio final é aplicado via escala
+    this.ringGeometry = new THREE.RingGeometry(0.85, 1.0, 48);
     this.materials = {
       fire: new THREE.MeshBasicMaterial({ color: 0xff4500 }),
       smoke: new THREE.MeshBasicMaterial({ color: 0x555555, transparent: true, opacity: 0.8 }),
       magic: new THREE.MeshBasicMaterial({ color: 0x8800ff }),
       spark: new THREE.MeshBasicMaterial({ color: 0xffff00 }),
-      ice: new THREE.MeshBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.8 })
+      ice: new THREE.MeshBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.8 }),
+      water: new THREE.MeshBasicMaterial({ color: 0x3399ff, transparent: true, opacity: 0.7 }),
+      steam: new THREE.MeshBasicMaterial({ color: 0xf0f8ff, transparent: true, opacity: 0.6 })
     };
   }
 
   emit(position, type, count = 5, options = {}) {
     const material = this.materials[type] || this.materials.fire;
+    count = Math.min(count, this.maxParticles - this.particles.length);
 
     for (let i = 0; i < count; i++) {
       const mesh = new THREE.Mesh(this.particleGeometry, material);
       mesh.position.copy(position);
 
-      mesh.position.x += (Math.random() - 0.5) * 0.5;
-      mesh.position.y += (Math.random() - 0.5) * 0.5;
-      mesh.position.z += (Math.random() - 0.5) * 0.5;
+      mesh.position.x += (this.random.next() - 0.5) * 0.5;
+      mesh.position.y += (this.random.next() - 0.5) * 0.5;
+      mesh.position.z += (this.random.next() - 0.5) * 0.5;
 
       mesh.rotation.set(
-        Math.random() * Math.PI,
-        Math.random() * Math.PI,
-        Math.random() * Math.PI
+        this.random.next() * Math.PI,
+        this.random.next() * Math.PI,
+        this.random.next() * Math.PI
       );
 
       const speed = options.speed || 0.1;
       const velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * speed,
-        (Math.random() - 0.5) * speed + (Math.random() * speed),
-        (Math.random() - 0.5) * speed
+        (this.random.next() - 0.5) * speed,
+        (this.random.next() - 0.5) * speed + (this.random.next() * speed),
+        (this.random.next() - 0.5) * speed
       );
 
+      if (GLOWING_TYPES.has(type)) enableBloom(mesh);
       this.scene.add(mesh);
 
       const initialScale = options.scale || 1.0;
@@ -55,19 +74,74 @@ export class ParticleSystem {
     }
   }
 
-  update() {
+  /**
+   * Emite um anel plano que se expande até o raio indicado enquanto desaparece.
+   * Usado como feedback visual de feitiços de área.
+   * No limite de anéis, o mais antigo dá lugar ao novo (o impacto recente importa mais).
+   */
+  emitRing(position, radius, options = {}) {
+    if (this.maxRings <= 0) return;
+    while (this.rings.length >= this.maxRings) {
+      this.removeRing(0);
+    }
+
+    const material = new THREE.MeshBasicMaterial({
+      color: options.color ?? 0xffffff,
+      transparent: true,
+      opacity: options.opacity ?? 0.8,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+
+    const mesh = new THREE.Mesh(this.ringGeometry, material);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.copy(position);
+    mesh.position.y = options.height ?? 0.2;
+    mesh.scale.setScalar(0.01);
+    enableBloom(mesh);
+    this.scene.add(mesh);
+
+    this.rings.push({
+      mesh,
+      radius,
+      life: 1.0,
+      decay: options.decay || 0.03,
+      initialOpacity: material.opacity
+    });
+  }
+
+  /**
+   * @param {number} [deltaTime] - Delta do mundo (s). Velocidade e decay são por passo de 1/60s,
+   * então a câmera lenta também desacelera as partículas.
+   */
+  update(deltaTime = 1 / 60) {
+    const steps = deltaTime * 60;
+
+    for (let i = this.rings.length - 1; i >= 0; i--) {
+      const ring = this.rings[i];
+
+      ring.life -= ring.decay * steps;
+      const progress = 1 - Math.max(0, ring.life);
+      ring.mesh.scale.setScalar(Math.max(0.01, ring.radius * progress));
+      ring.mesh.material.opacity = Math.max(0, ring.life) * ring.initialOpacity;
+
+      if (ring.life <= 0) {
+        this.removeRing(i);
+      }
+    }
+
     for (let i = this.particles.length - 1; i >= 0; i--) {
       const p = this.particles[i];
 
-      p.mesh.position.add(p.velocity);
-      p.mesh.rotation.x += 0.1;
-      p.mesh.rotation.y += 0.1;
+      p.mesh.position.addScaledVector(p.velocity, steps);
+      p.mesh.rotation.x += 0.1 * steps;
+      p.mesh.rotation.y += 0.1 * steps;
 
-      p.life -= p.decay;
-      p.mesh.scale.setScalar(p.life * p.initialScale);
+      p.life -= p.decay * steps;
+      p.mesh.scale.setScalar(Math.max(0, p.life) * p.initialScale);
 
-      if (p.type === 'smoke') {
-        p.velocity.y += 0.002;
+      if (p.type === 'smoke' || p.type === 'steam') {
+        p.velocity.y += 0.002 * steps;
       }
 
       if (p.life <= 0) {
@@ -77,8 +151,17 @@ export class ParticleSystem {
     }
   }
 
+  removeRing(index) {
+    const [ring] = this.rings.splice(index, 1);
+    this.scene.remove(ring.mesh);
+    ring.mesh.material.dispose();
+  }
+
   dispose() {
     this.particles.forEach(p => this.scene.remove(p.mesh));
     this.particles = [];
+    while (this.rings.length > 0) {
+      this.removeRing(this.rings.length - 1);
+    }
   }
 }
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { StatusEffects } from './StatusEffects.js';
 
 export class Player {
   constructor(inputManager) {
@@ -8,11 +9,27 @@ export class Player {
     this.currentHP = 100;
     this.updateHealthBar();
 
+    // Mana: consumida por feitiços canalizados e regenerada após um breve intervalo
+    this.maxMana = 100;
+    this.currentMana = 100;
+    this.manaRegenRate = 15;    // por segundo
+    this.manaRegenDelay = 1.0;  // segundos sem gastar antes de regenerar
+    this.manaRegenTimer = 0;
+    // Desligada no Lendário: sem regeneração de mana nem cura (ver DifficultyProfiles)
+    this.regenerationEnabled = true;
+    this.updateManaBar();
 
+
+    // Multiplicadores do mago escolhido (ver MageProfiles)
+    this.damageMultiplier = 1.0;
+    this.damageTakenMultiplier = 1.0;
+    this.baseMoveSpeed = 9.0;
+
+    // Velocidades em unidades/segundo e gravidade em unidades/segundo²
     this.config = {
-      moveSpeed: 0.15,
-      gravity: 0.012,
-      jumpForce: 0.4,
+      moveSpeed: this.baseMoveSpeed,
+      gravity: 43.2,
+      jumpForce: 24.0,
       height: 3.0, 
       maxDistance: 150,
       collisionRadius: 1.5, 
@@ -20,6 +37,10 @@ export class Player {
 
     this.barriers = []; 
 
+    this.statusEffects = new StatusEffects(this);
+    this.statusEffects.onChange = () => this.updateStatusHUD();
+    this.statusHudElement = document.getElementById('status-effects');
+
     this.camera = new THREE.PerspectiveCamera(
       75,
       window.innerWidth / window.innerHeight,
@@ -34,6 +55,8 @@ export class Player {
     this.canJump = false;
     this.isMoving = false;
     this.lastPosition = this.camera.position.clone();
+    // Posição no início do último passo de simulação (interpolação na renderização)
+    this.previousPosition = this.camera.position.clone();
     this.wasInAir = false; 
     this.onJump = null; 
     this.onLand = null; 
@@ -43,21 +66,37 @@ export class Player {
     this.inputManager.onJump = () => this.jump();
 
     this.onPlayerDeath = null;
+    this.onDamage = null; // (amount) => void
   }
 
-  update() {
-    this.updateMovement();
+  update(deltaTime = 0.016) {
+    this.previousPosition.copy(this.camera.position);
+    this.updateMovement(deltaTime);
     this.updateBoundaries();
-    this.detectMovement();
+    this.detectMovement(deltaTime);
+    this.updateMana(deltaTime);
+    this.statusEffects.update(deltaTime);
+  }
+
+  updateMana(deltaTime) {
+    if (!this.regenerationEnabled) return;
+    if (this.manaRegenTimer > 0) {
+      this.manaRegenTimer -= deltaTime;
+      return;
+    }
+    // A barra é atualizada uma vez por frame (Game.updateHUD)
+    if (this.currentMana < this.maxMana) {
+      this.currentMana = Math.min(this.maxMana, this.currentMana + this.manaRegenRate * deltaTime);
+    }
   }
 
-  detectMovement() {
+  detectMovement(deltaTime) {
     const distance = this.lastPosition.distanceTo(this.camera.position);
-    this.isMoving = distance > 0.05; 
+    this.isMoving = distance > 3.0 * deltaTime; // Acima de 3 unidades/segundo
     this.lastPosition.copy(this.camera.position);
   }
 
-  updateMovement() {
+  updateMovement(deltaTime) {
     const forward = new THREE.Vector3();
     const right = new THREE.Vector3();
 
@@ -80,12 +119,13 @@ export class Player {
 
     if (moveInput.length() > 0) {
       moveInput.normalize();
-      this.velocity.add(moveInput.multiplyScalar(this.config.moveSpeed));
+      const speed = this.config.moveSpeed * this.statusEffects.getModifier('speed');
+      this.velocity.add(moveInput.multiplyScalar(speed));
     }
 
-    this.velocity.y -= this.config.gravity;
+    this.velocity.y -= this.config.gravity * deltaTime;
 
-    const newPosition = this.camera.position.clone().add(this.velocity);
+    const newPosition = this.camera.position.clone().addScaledVector(this.velocity, deltaTime);
 
     if (newPosition.y < this.config.height) {
       newPosition.y = this.config.height;
@@ -171,6 +211,7 @@ export class Player {
 
   setPosition(x, y, z) {
     this.camera.position.set(x, y, z);
+    this.previousPosition.copy(this.camera.position);
   }
 
   getPosition() {
@@ -196,8 +237,10 @@ updateHealthBar() {
 takeDamage(amount) {
   if (this.currentHP <= 0) return; 
 
+    amount *= this.statusEffects.getModifier('damageTaken') * this.damageTakenMultiplier;
     this.currentHP = Math.max(0, this.currentHP - amount);
     this.updateHealthBar();
+    this.onDamage?.(amount);
 
     if (this.currentHP <= 0) {
         
@@ -207,7 +250,75 @@ takeDamage(amount) {
     }
 }
 
+updateManaBar() {
+  const bar = document.getElementById("barra-de-mana");
+  if (!bar) return;
+  const pct = (this.currentMana / this.maxMana) * 100;
+  bar.style.width = pct + "%";
+}
+
+hasMana() {
+  return this.currentMana > 0;
+}
+
+/**
+ * Consome mana. Retorna false se não houver mana para gastar.
+ */
+spendMana(amount) {
+  if (this.currentMana <= 0) return false;
+
+  this.currentMana = Math.max(0, this.currentMana - amount);
+  this.manaRegenTimer = this.manaRegenDelay;
+  return true;
+}
+
+isAlive() {
+  return this.currentHP > 0;
+}
+
+// Multiplicador aplicado ao dano dos feitiços do jogador
+getDamageDealtMultiplier() {
+  return this.statusEffects.getModifier('damageDealt') * this.damageMultiplier;
+}
+
+/**
+ * Aplica os multiplicadores do mago (dano, dano recebido e velocidade).
+ * A vida máxima é aplicada junto com a dificuldade (setMaxHP).
+ */
+applyMageModifiers({ damage = 1, damageTaken = 1, moveSpeed = 1 }) {
+  this.damageMultiplier = damage;
+  this.damageTakenMultiplier = damageTaken;
+  this.config.moveSpeed = this.baseMoveSpeed * moveSpeed;
+}
+
+// Ícones dos efeitos ativos no HUD
+updateStatusHUD() {
+  if (!this.statusHudElement) return;
+  this.statusHudElement.innerHTML = this.statusEffects.list().map(effect => {
+    const stacks = effect.stacks > 1 ? `<sub>${effect.stacks}</sub>` : '';
+    return `<span class="status-icon" title="${effect.def.name}">${effect.def.icon}${stacks}</span>`;
+  }).join('');
+}
+
+// Vida máxima da dificuldade; começa a partida com a vida cheia
+setMaxHP(maxHP) {
+  this.maxHP = maxHP;
+  this.currentHP = maxHP;
+  this.updateHealthBar();
+}
+
+setRegeneration(enabled) {
+  this.regenerationEnabled = enabled;
+}
+
+// Mana cheia (fim de horda no Lendário, onde ela não regenera)
+refillMana() {
+  this.currentMana = this.maxMana;
+  this.updateManaBar();
+}
+
 heal(amount) {
+  if (!this.regenerationEnabled) return;
   this.currentHP = Math.min(this.maxHP, this.currentHP + amount);
   this.updateHealthBar();
 }
@@ -215,9 +326,14 @@ heal(amount) {
 reset() {
     this.currentHP = this.maxHP;
     this.updateHealthBar();
+    this.currentMana = this.maxMana;
+    this.manaRegenTimer = 0;
+    this.updateManaBar();
+    this.statusEffects.clear();
     this.velocity.set(0, 0, 0);
    
     this.camera.position.set(0, this.config.height + 5, 20);
+    this.previousPosition.copy(this.camera.position);
     this.camera.rotation.set(0, 0, 0);
     this.yaw = 0;
     this.pitch = 0;
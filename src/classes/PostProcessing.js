@@ -0,0 +1,182 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+
+/**
+ * PostProcessing - Pós-processamento da cena (EffectComposer)
+ * - Bloom seletivo: só brilham os objetos na camada BLOOM_LAYER (feitiços,
+ *   partículas mágicas, chefes). A passada de bloom desenha apenas essa camada
+ *   (a câmera deixa de ver o resto da cena, sem sombras nem grama) e depois é
+ *   combinada com a imagem normal. Sem o resto da cena no depth buffer, o brilho
+ *   de um objeto atrás de uma parede ainda aparece, suave, por cima dela.
+ * - Flash de dano: vinheta vermelha que aparece quando o jogador é atingido.
+ * - Color grade opcional: saturação, contraste e um leve tom quente.
+ */
+
+export const BLOOM_LAYER = 1;
+
+/**
+ * Marca um objeto (e seus filhos) para brilhar no bloom.
+ */
+export function enableBloom(object) {
+  object.traverse(child => child.layers.enable(BLOOM_LAYER));
+}
+
+// Combina a cena, o bloom e os efeitos de tela
+const CompositeShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    bloomTexture: { value: null },
+    bloomEnabled: { value: true },
+    damage: { value: 0.0 },
+    gradeEnabled: { value: false },
+    saturation: { value: 1.15 },
+    contrast: { value: 1.08 },
+    tint: { value: new THREE.Vector3(1.04, 1.0, 0.94) }
+  },
+  vertexShader: /* glsl */`
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDiffuse;
+    uniform sampler2D bloomTexture;
+    uniform bool bloomEnabled;
+    uniform float damage;
+    uniform bool gradeEnabled;
+    uniform float saturation;
+    uniform float contrast;
+    uniform vec3 tint;
+    varying vec2 vUv;
+
+    void main() {
+      vec4 color = texture2D(tDiffuse, vUv);
+      if (bloomEnabled) color.rgb += texture2D(bloomTexture, vUv).rgb;
+
+      if (gradeEnabled) {
+        float luma = dot(color.rgb, vec3(0.2126, 0.7152, 0.0722));
+        color.rgb = mix(vec3(luma), color.rgb, saturation);
+        color.rgb = (color.rgb - 0.5) * contrast + 0.5;
+        color.rgb *= tint;
+      }
+
+      // Vinheta vermelha nas bordas, proporcional ao dano recente
+      float edge = smoothstep(0.25, 0.85, length(vUv - 0.5) * 1.4);
+      color.rgb = mix(color.rgb, vec3(0.75, 0.0, 0.0), edge * damage);
+
+      gl_FragColor = color;
+    }
+  `
+};
+
+export class PostProcessing {
+  /**
+   * @param {object} options - { bloom, damageFlash, colorGrade } (booleans das configurações)
+   */
+  constructor(renderer, scene, camera, options = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.options = { bloom: true, damageFlash: true, colorGrade: false, ...options };
+
+    this.damage = 0;
+    this.damageDecay = 1.5; // Intensidade do flash perdida por segundo
+
+    const size = renderer.getSize(new THREE.Vector2());
+
+    this.bloomPass = new UnrealBloomPass(size, 1.2, 0.4, 0.1);
+    this.bloomComposer = new EffectComposer(renderer);
+    this.bloomComposer.renderToScreen = false;
+    this.bloomComposer.addPass(new RenderPass(scene, camera));
+    this.bloomComposer.addPass(this.bloomPass);
+
+    this.compositePass = new ShaderPass(CompositeShader);
+    this.compositePass.uniforms.bloomTexture.value = this.bloomComposer.renderTarget2.texture;
+
+    this.finalComposer = new EffectComposer(renderer);
+    this.finalComposer.addPass(new RenderPass(scene, camera));
+    this.finalComposer.addPass(this.compositePass);
+    this.finalComposer.addPass(new OutputPass());
+
+    this.setOptions(this.options);
+  }
+
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+    const uniforms = this.compositePass.uniforms;
+    uniforms.bloomEnabled.value = this.options.bloom;
+    uniforms.gradeEnabled.value = this.options.colorGrade;
+    if (!this.options.damageFlash) this.damage = 0;
+  }
+
+  // Sem nenhum efeito ligado, renderiza direto (sem o custo dos composers)
+  isActive() {
+    const { bloom, damageFlash, colorGrade } = this.options;
+    return bloom || colorGrade || (damageFlash && this.damage > 0);
+  }
+
+  /**
+   * Dispara a vinheta vermelha de dano.
+   * @param {number} strength - 0 a 1.
+   */
+  flashDamage(strength = 1) {
+    if (!this.options.damageFlash) return;
+    this.damage = Math.min(1, Math.max(this.damage, strength));
+  }
+
+  update(dt) {
+    if (this.damage > 0) this.damage = Math.max(0, this.damage - this.damageDecay * dt);
+    this.compositePass.uniforms.damage.value = this.damage;
+  }
+
+  render() {
+    if (!this.isActive()) {
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    if (this.options.bloom) this.renderBloom();
+    this.finalComposer.render();
+  }
+
+  // Passada de bloom: a câmera vê só a camada de bloom; as sombras do frame não são refeitas
+  renderBloom() {
+    const { background, fog } = this.scene;
+    const cameraLayers = this.camera.layers.mask;
+    const shadowAutoUpdate = this.renderer.shadowMap.autoUpdate;
+    this.scene.background = null;
+    this.scene.fog = null;
+    this.camera.layers.set(BLOOM_LAYER);
+    this.renderer.shadowMap.autoUpdate = false;
+
+    this.bloomComposer.render();
+
+    this.renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+    this.camera.layers.mask = cameraLayers;
+    this.scene.background = background;
+    this.scene.fog = fog;
+  }
+
+  setSize(width, height) {
+    this.bloomComposer.setSize(width, height);
+    this.finalComposer.setSize(width, height);
+  }
+
+  setPixelRatio(pixelRatio) {
+    this.bloomComposer.setPixelRatio(pixelRatio);
+    this.finalComposer.setPixelRatio(pixelRatio);
+  }
+
+  dispose() {
+    this.bloomComposer.dispose();
+    this.finalComposer.dispose();
+    this.bloomPass.dispose();
+    this.compositePass.dispose();
+  }
+}
@@ -1,80 +1,67 @@
 import * as THREE from 'three';
+import { enableBloom } from './PostProcessing.js';
 
 export class Projectile {
-  constructor(scene, position, direction, type, onCollision, intensity = 1.0) {
+  constructor(scene, position, direction, spell, onCollision, intensity = 1.0) {
     this.scene = scene;
     this.direction = direction.normalize();
-    this.speed = 1.5;
-    this.type = type;
+    this.spell = spell;
+    this.type = spell.id;
     this.onCollision = onCollision;
     this.life = 3.0;
 
     intensity = Math.max(0.3, Math.min(2.0, intensity));
 
-    this.damage = type === 'fireball' ? 25 : 20;
-    this.knockbackForce = type === 'fireball' ? 2.0 : 1.0;
-
-    const geometry = new THREE.SphereGeometry(0.3, 8, 8);
-    let material;
-
-    switch (type) {
-      case 'fireball':
-        const baseRadius = 8.4;
-        this.radius = baseRadius * intensity;
-
-        this.mesh = new THREE.Mesh(new THREE.SphereGeometry(this.radius, 16, 16),
-          new THREE.MeshStandardMaterial({
-            color: 0xff4500,
-            emissive: 0xff2200,
-            emissiveIntensity: 4 * intensity,
-            roughness: 0.4,
-            metalness: 0.1
-          })
-        );
-        this.light = new THREE.PointLight(0xffaa00, 35 * intensity, 70 * intensity);
-        this.speed = 0.8;
-
-        const core = new THREE.Mesh(
-          new THREE.SphereGeometry(this.radius * 0.5, 16, 16),
-          new THREE.MeshBasicMaterial({ color: 0xffff00 })
-        );
-        this.mesh.add(core);
-        break;
-
-      case 'ice':
-        this.radius = 0.3;
-        material = new THREE.MeshStandardMaterial({
-          color: 0x00ffff,
-          emissive: 0x0000ff,
-          emissiveIntensity: 1,
-          transparent: true,
-          opacity: 0.8
-        });
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.light = new THREE.PointLight(0x00ffff, 3, 8);
-        this.speed = 2.0;
-        break;
-
-      default:
-        this.mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color: 0xffffff }));
-        this.light = new THREE.PointLight(0xffffff, 1, 5);
+    this.damage = spell.damage;
+    this.knockbackForce = spell.knockback;
+
+    const visual = spell.projectile || {};
+    const scale = visual.scaleWithIntensity ? intensity : 1;
+    const segments = visual.segments || 8;
+
+    this.speed = visual.speed || 90; // Unidades/segundo
+    this.radius = (visual.radius || 0.3) * scale;
+
+    const materialOptions = { color: 0xffffff, ...visual.material };
+    if (materialOptions.emissiveIntensity !== undefined) {
+      materialOptions.emissiveIntensity *= scale;
     }
 
-    if (type !== 'fireball') {
-      this.mesh.position.copy(position);
-    } else {
-      this.mesh.position.copy(position);
+    this.mesh = new THREE.Mesh(
+      new THREE.SphereGeometry(this.radius, segments, segments),
+      new THREE.MeshStandardMaterial(materialOptions)
+    );
+
+    if (visual.core) {
+      const core = new THREE.Mesh(
+        new THREE.SphereGeometry(this.radius * visual.core.scale, segments, segments),
+        new THREE.MeshBasicMaterial({ color: visual.core.color })
+      );
+      this.mesh.add(core);
     }
 
+    const lightConfig = visual.light || { color: 0xffffff, intensity: 1, distance: 5 };
+    this.light = new THREE.PointLight(
+      lightConfig.color,
+      lightConfig.intensity * scale,
+      lightConfig.distance * scale
+    );
+
+    this.mesh.position.copy(position);
+    // Posição no início do último passo de simulação (interpolação na renderização)
+    this.previousPosition = position.clone();
+
     if (this.light) {
       this.mesh.add(this.light);
     }
 
+    enableBloom(this.mesh);
     this.scene.add(this.mesh);
   }
 
   update(deltaTime, barriers) {
-    const moveStep = this.direction.clone().multiplyScalar(this.speed);
+    this.previousPosition.copy(this.mesh.position);
+    const moveStep = this.direction.clone().multiplyScalar(this.speed * deltaTime);
     this.mesh.position.add(moveStep);
 
     this.life -= deltaTime;
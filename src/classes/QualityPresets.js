@@ -0,0 +1,62 @@
+/**
+ * QualityPresets - Níveis de qualidade gráfica
+ * Cada nível define a densidade da grama, o mapa de sombras, a resolução do
+ * renderizador, o detalhe das nuvens e o limite de partículas e anéis simultâneos.
+ * Aplicados pelo Game (renderizador) e pela GameScene (grama, sombras, nuvens).
+ */
+
+export const DEFAULT_QUALITY = 'media';
+
+export const qualityPresets = {
+  baixa: {
+    label: 'Baixa',
+    grassBlades: 60000,
+    shadowMapSize: 512,
+    shadowType: 'basic',      // 'basic' | 'pcf' | 'pcfSoft'
+    antialias: false,
+    maxPixelRatio: 0.75,      // Teto do devicePixelRatio (abaixo de 1 reduz a resolução)
+    cloudSegments: [8, 6],    // Segmentos das esferas das nuvens (largura, altura)
+    maxParticles: 150,
+    maxRings: 4               // Anéis de impacto simultâneos (cada um tem material próprio)
+  },
+  media: {
+    label: 'Média',
+    grassBlades: 250000,
+    shadowMapSize: 1024,
+    shadowType: 'pcf',
+    antialias: true,
+    maxPixelRatio: 1,
+    cloudSegments: [16, 8],
+    maxParticles: 400,
+    maxRings: 8
+  },
+  alta: {
+    label: 'Alta',
+    grassBlades: 500000,
+    shadowMapSize: 2048,
+    shadowType: 'pcf',
+    antialias: true,
+    maxPixelRatio: 1.5,
+    cloudSegments: [24, 12],
+    maxParticles: 800,
+    maxRings: 12
+  },
+  ultra: {
+    label: 'Ultra',
+    grassBlades: 800000,
+    shadowMapSize: 4096,
+    shadowType: 'pcfSoft',
+    antialias: true,
+    maxPixelRatio: 2,
+    cloudSegments: [32, 16],
+    maxParticles: 1500,
+    maxRings: 20
+  }
+};
+
+/**
+ * Nível de qualidade (ou o padrão, se não existir).
+ */
+export function getQualityPreset(id) {
+  return qualityPresets[id] || qualityPresets[DEFAULT_QUALITY];
+}
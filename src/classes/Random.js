@@ -0,0 +1,97 @@
+/**
+ * Random - Números aleatórios com semente
+ * A mesma semente reproduz a partida: hordas, spawns, patrulhas e invocações
+ * saem na mesma ordem (desafio diário, bugs reproduzíveis, testes).
+ * Dois fluxos independentes saem de cada semente:
+ * - gameplay: tudo que muda o resultado da partida.
+ * - cosmetic: grama, nuvens e partículas. Gastar números aqui (ex: mais
+ *   partículas no nível Ultra) não altera o fluxo de gameplay.
+ */
+
+/**
+ * Converte um texto em semente de 32 bits (FNV-1a).
+ */
+export function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Semente nova para uma partida sem semente definida
+export function createSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Semente do desafio diário: a mesma para todos os jogadores no mesmo dia (UTC).
+ */
+export function getDailySeed(date = new Date()) {
+  return hashSeed(`daily-${date.toISOString().slice(0, 10)}`);
+}
+
+/**
+ * Semente a partir de um texto (ex: `?seed=` na URL).
+ * "daily" usa a semente do dia, números são usados direto e qualquer outro texto vira hash.
+ * @returns {number|null} null se não houver texto.
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value === 'daily') return getDailySeed();
+  return /^\d+$/.test(value) ? Number(value) >>> 0 : hashSeed(value);
+}
+
+/**
+ * Gerador Mulberry32: rápido, 32 bits de estado, mesma sequência em qualquer navegador.
+ */
+export class Random {
+  constructor(seed = createSeed()) {
+    this.setSeed(seed);
+  }
+
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Número em [0, 1), no lugar de Math.random()
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Inteiro entre min e max (inclusive)
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+}
+
+export class RandomService {
+  constructor(seed = createSeed()) {
+    this.gameplay = new Random(0);
+    this.cosmetic = new Random(0);
+    this.setSeed(seed);
+  }
+
+  /**
+   * Troca a semente e reinicia os dois fluxos.
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.gameplay.setSeed(this.seed);
+    this.cosmetic.setSeed(hashSeed(`cosmetic-${this.seed}`));
+  }
+}
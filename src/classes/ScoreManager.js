@@ -0,0 +1,140 @@
+/**
+ * ScoreManager - Pontuação da partida
+ * Recebe as mortes de inimigos (EnemyManager) e as conjurações/acertos
+ * (SpellManager). Cada tipo de inimigo vale uma pontuação base, chefes dão
+ * bônus por horda e abates em sequência aumentam um multiplicador que decai
+ * quando o jogador fica um tempo sem matar.
+ */
+
+const DEFAULT_CONFIG = {
+  points: { normal: 100, clone: 25, miniBoss: 500, boss: 2000 },
+  bossBonusPerHorde: 300,   // Bônus extra do chefe: horda × valor
+  miniBossBonusPerHorde: 50,
+  streak: {
+    step: 0.1,        // Multiplicador ganho por abate
+    max: 5.0,
+    decayDelay: 2.5,  // Segundos sem abates até começar a decair
+    decayRate: 0.5    // Multiplicador perdido por segundo
+  }
+};
+
+/**
+ * Categoria de pontuação de um inimigo.
+ */
+export function getEnemyCategory(enemy) {
+  const { config } = enemy;
+  if (config.isBoss) return 'boss';
+  if (config.isMiniBoss) return 'miniBoss';
+  if (config.type === 'clone') return 'clone';
+  return 'normal';
+}
+
+export class ScoreManager {
+  constructor(config = {}) {
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      streak: { ...DEFAULT_CONFIG.streak, ...config.streak }
+    };
+
+    this.scoreElement = document.getElementById('score-value');
+    this.multiplierElement = document.getElementById('score-multiplier');
+
+    this.reset();
+  }
+
+  reset() {
+    this.score = 0;
+    this.kills = 0;
+    this.killsByType = { normal: 0, clone: 0, miniBoss: 0, boss: 0 };
+    this.casts = 0;
+    this.hits = 0;
+    this.castsBySpell = {};
+    this.timeSurvived = 0;
+
+    this.multiplier = 1.0;
+    this.streak = 0;
+    this.bestStreak = 0;
+    this.timeSinceKill = 0;
+
+    this.updateUI();
+  }
+
+  /**
+   * @param {number} dt - Delta time em segundos (só corre com o jogo ativo).
+   */
+  update(dt) {
+    this.timeSurvived += dt;
+    this.timeSinceKill += dt;
+
+    const { decayDelay, decayRate } = this.config.streak;
+    if (this.multiplier > 1.0 && this.timeSinceKill > decayDelay) {
+      this.multiplier = Math.max(1.0, this.multiplier - decayRate * dt);
+      if (this.multiplier === 1.0) this.streak = 0;
+    }
+  }
+
+  /**
+   * Abate de um inimigo pelo jogador.
+   * @returns {number} Pontos ganhos.
+   */
+  recordKill(enemy, hordeLevel = 1) {
+    const category = getEnemyCategory(enemy);
+    const { points, bossBonusPerHorde, miniBossBonusPerHorde, streak } = this.config;
+
+    let base = points[category] || 0;
+    if (category === 'boss') base += bossBonusPerHorde * hordeLevel;
+    if (category === 'miniBoss') base += miniBossBonusPerHorde * hordeLevel;
+
+    const gained = Math.round(base * this.multiplier);
+    this.score += gained;
+    this.kills++;
+    this.killsByType[category]++;
+
+    this.streak++;
+    this.bestStreak = Math.max(this.bestStreak, this.streak);
+    this.multiplier = Math.min(streak.max, this.multiplier + streak.step);
+    this.timeSinceKill = 0;
+
+    this.updateUI();
+    return gained;
+  }
+
+  recordCast(spellId) {
+    this.casts++;
+    this.castsBySpell[spellId] = (this.castsBySpell[spellId] || 0) + 1;
+  }
+
+  // Uma conjuração que atingiu pelo menos um inimigo
+  recordHit() {
+    this.hits++;
+  }
+
+  getAccuracy() {
+    return this.casts > 0 ? this.hits / this.casts : 0;
+  }
+
+  getSummary() {
+    return {
+      score: this.score,
+      kills: this.kills,
+      killsByType: { ...this.killsByType },
+      casts: this.casts,
+      hits: this.hits,
+      accuracy: this.getAccuracy(),
+      castsBySpell: { ...this.castsBySpell },
+      bestStreak: this.bestStreak,
+      timeSurvived: this.timeSurvived
+    };
+  }
+
+  updateUI() {
+    if (this.scoreElement) {
+      this.scoreElement.textContent = this.score.toLocaleString('pt-BR');
+    }
+    if (this.multiplierElement) {
+      this.multiplierElement.textContent = `x${this.multiplier.toFixed(1)}`;
+      this.multiplierElement.style.visibility = this.multiplier > 1.0 ? 'visible' : 'hidden';
+    }
+  }
+}
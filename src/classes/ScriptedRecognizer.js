@@ -0,0 +1,89 @@
+import { SpeechRecognizer } from './SpeechRecognizer.js';
+
+/**
+ * ScriptedRecognizer - Reproduz um roteiro de falas
+ * Útil para testes e demonstrações sem microfone: cada entrada do roteiro
+ * vira um resultado de reconhecimento após o seu atraso.
+ *
+ * Entradas: string ou { transcript, delay (ms), confidence, intensity, voice }.
+ * `voice` ({ pitchRatio, duration }) simula o tom e a duração da fala.
+ * Ex: new ScriptedRecognizer(['fogo', { transcript: 'fogo gelo', delay: 3000 }], { loop: true })
+ */
+export class ScriptedRecognizer extends SpeechRecognizer {
+  constructor(script = [], { loop = false, defaultDelay = 1500, interimDelay = 120 } = {}) {
+    super();
+    this.script = script.map(entry => (typeof entry === 'string' ? { transcript: entry } : entry));
+    this.loop = loop;
+    this.defaultDelay = defaultDelay;
+    this.interimDelay = interimDelay;
+
+    this.isRunning = false;
+    this.index = 0;
+    this.utteranceCount = 0;
+    this.timeoutIds = [];
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.index = 0;
+    this.emitStart();
+    this.scheduleNext();
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    this.timeoutIds.forEach(id => clearTimeout(id));
+    this.timeoutIds = [];
+    this.emitEnd();
+  }
+
+  scheduleNext() {
+    if (this.index >= this.script.length) {
+      if (!this.loop || this.script.length === 0) return;
+      this.index = 0;
+    }
+
+    const entry = this.script[this.index++];
+    this.schedule(() => this.play(entry), entry.delay ?? this.defaultDelay);
+  }
+
+  /**
+   * Emite a fala; com resultados parciais ligados, emite antes os prefixos
+   * palavra a palavra, como o reconhecedor real faria.
+   */
+  play(entry) {
+    const utteranceId = `script:${++this.utteranceCount}`;
+    const words = entry.transcript.split(/\s+/).filter(Boolean);
+    const partials = this.interimResults ? words.length - 1 : 0;
+
+    for (let i = 1; i <= partials; i++) {
+      this.schedule(() => this.emitEntry(entry, words.slice(0, i).join(' '), false, utteranceId),
+        this.interimDelay * (i - 1));
+    }
+
+    this.schedule(() => {
+      this.emitEntry(entry, entry.transcript, true, utteranceId);
+      this.scheduleNext();
+    }, this.interimDelay * partials);
+  }
+
+  emitEntry(entry, transcript, isFinal, utteranceId) {
+    this.emitResult({
+      alternatives: [{ transcript, confidence: entry.confidence ?? 0.95 }],
+      isFinal,
+      utteranceId,
+      intensity: entry.intensity,
+      voice: entry.voice
+    });
+  }
+
+  schedule(callback, delay) {
+    const id = setTimeout(() => {
+      this.timeoutIds = this.timeoutIds.filter(other => other !== id);
+      if (this.isRunning) callback();
+    }, delay);
+    this.timeoutIds.push(id);
+  }
+}
@@ -0,0 +1,161 @@
+import { getSupportedLanguages } from './VocabularyPacks.js';
+
+/**
+ * SettingsService - Configurações compartilhadas do jogo (localStorage)
+ * Carrega, migra e valida o objeto salvo por settings.js; cada sistema
+ * (Game, InputManager, AudioManager, GameScene) assina as mudanças e as
+ * aplica na hora, sem recarregar a página.
+ */
+
+const STORAGE_KEY = 'settings';
+export const SETTINGS_VERSION = 1;
+
+// Tipo, limites e valor padrão de cada configuração
+export const SETTINGS_SCHEMA = {
+  volumeGeral: { type: 'number', min: 0, max: 100, default: 70 },
+  volumeMusica: { type: 'number', min: 0, max: 100, default: 60 },
+  volumeEfeitos: { type: 'number', min: 0, max: 100, default: 80 },
+  mouseSensitivity: { type: 'number', min: 1, max: 10, default: 5 },
+  invertY: { type: 'boolean', default: false },
+  difficulty: { type: 'enum', values: ['facil', 'normal', 'dificil', 'lendario'], default: 'normal' },
+  qualidade: { type: 'enum', values: ['baixa', 'media', 'alta', 'ultra'], default: 'media' },
+  shadows: { type: 'boolean', default: true },
+  bloom: { type: 'boolean', default: true },
+  damageFlash: { type: 'boolean', default: true },
+  colorGrade: { type: 'boolean', default: false },
+  voiceLowLatency: { type: 'boolean', default: false },
+  voiceBackend: { type: 'enum', values: ['webspeech', 'keyword'], default: 'webspeech' },
+  voiceMode: { type: 'enum', values: ['toggle', 'pushToTalk', 'always'], default: 'toggle' },
+  language: { type: 'enum', values: getSupportedLanguages(), default: 'pt-BR' }
+};
+
+export function getDefaultSettings() {
+  return Object.fromEntries(
+    Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => [key, rule.default])
+  );
+}
+
+/**
+ * Migrações por versão: MIGRATIONS[n] leva um objeto da versão n para n + 1.
+ */
+const MIGRATIONS = [
+  // v0 (sem versão): os sliders podiam ter sido salvos como string
+  (settings) => {
+    const migrated = { ...settings };
+    for (const key of ['volumeGeral', 'volumeMusica', 'volumeEfeitos', 'mouseSensitivity']) {
+      if (typeof migrated[key] === 'string') migrated[key] = parseInt(migrated[key], 10);
+    }
+    return migrated;
+  }
+];
+
+export function migrateSettings(settings) {
+  let migrated = { ...settings };
+  for (let version = migrated.version || 0; version < SETTINGS_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  migrated.version = SETTINGS_VERSION;
+  return migrated;
+}
+
+/**
+ * Valor válido para a configuração (ou o padrão, se inválido).
+ */
+function validateValue(rule, value) {
+  switch (rule.type) {
+    case 'number':
+      return Number.isFinite(value) ? Math.min(rule.max, Math.max(rule.min, value)) : rule.default;
+    case 'boolean':
+      return typeof value === 'boolean' ? value : rule.default;
+    case 'enum':
+      return rule.values.includes(value) ? value : rule.default;
+    default:
+      return rule.default;
+  }
+}
+
+/**
+ * Completa e corrige um objeto de configurações (chaves desconhecidas são descartadas).
+ */
+export function validateSettings(settings = {}) {
+  const valid = {};
+  for (const [key, rule] of Object.entries(SETTINGS_SCHEMA)) {
+    valid[key] = key in settings ? validateValue(rule, settings[key]) : rule.default;
+  }
+  return valid;
+}
+
+export class SettingsService {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.listeners = new Set();
+    this.settings = this.load();
+
+    // Configurações salvas em outra aba (ex: página de Configurações aberta junto)
+    window.addEventListener('storage', (e) => {
+      if (e.key !== STORAGE_KEY) return;
+      this.apply(this.load());
+    });
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+      return saved ? validateSettings(migrateSettings(saved)) : getDefaultSettings();
+    } catch (e) {
+      console.warn('Configurações inválidas no localStorage:', e);
+      return getDefaultSettings();
+    }
+  }
+
+  save() {
+    this.storage.setItem(STORAGE_KEY, JSON.stringify({ ...this.settings, version: SETTINGS_VERSION }));
+  }
+
+  get(key) {
+    return this.settings[key];
+  }
+
+  getAll() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Altera algumas configurações, salva e avisa os assinantes.
+   * @param {object} changes - Ex: { mouseSensitivity: 7 }
+   */
+  update(changes) {
+    this.apply(validateSettings({ ...this.settings, ...changes }));
+    this.save();
+  }
+
+  reset() {
+    this.storage.removeItem(STORAGE_KEY);
+    this.apply(getDefaultSettings());
+  }
+
+  /**
+   * @param {function(object, string[]|null)} listener - Recebe as configurações e as
+   *   chaves alteradas (null na chamada inicial, quando tudo deve ser aplicado).
+   * @returns {function} Cancela a assinatura.
+   */
+  subscribe(listener, { immediate = true } = {}) {
+    this.listeners.add(listener);
+    if (immediate) listener(this.getAll(), null);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Troca as configurações atuais e notifica só se algo mudou
+  apply(settings) {
+    const changed = Object.keys(settings).filter(key => settings[key] !== this.settings[key]);
+    this.settings = settings;
+    if (changed.length === 0) return;
+
+    for (const listener of this.listeners) {
+      listener(this.getAll(), changed);
+    }
+  }
+}
+
+// Instância única: os módulos do jogo e do menu de pausa compartilham o mesmo estado
+export const settingsService = new SettingsService();
@@ -1,69 +1,144 @@
+import { WebSpeechRecognizer } from './WebSpeechRecognizer.js';
+import { KeywordSpottingRecognizer, MODEL_UNAVAILABLE } from './KeywordSpottingRecognizer.js';
+import { ScriptedRecognizer } from './ScriptedRecognizer.js';
+import { VoiceCalibration, measureLevel } from './VoiceCalibration.js';
+import { detectPitch, VoiceFeatureTracker } from './VoiceFeatures.js';
+
 /**
  * SpeechRecognitionManager - Gerencia a transcrição de fala do usuário
- * Utiliza a WebSpeech API para capturar e transcrever áudio
+ * Delega o reconhecimento a um adaptador (SpeechRecognizer): WebSpeech API,
+ * palavras-chave local ou roteiro. Mede o volume do microfone para a intensidade.
  */
 
-export class SpeechRecognitionManager {
-  constructor() {
-    const SpeechRecognition =
-      window.SpeechRecognition || window.webkitSpeechRecognition;
+// Erros que impedem qualquer nova sessão até o jogador agir (permissão, dispositivo, modelo local)
+const FATAL_ERRORS = new Set(['not-allowed', 'service-not-allowed', 'audio-capture', MODEL_UNAVAILABLE]);
 
-    if (!SpeechRecognition) {
-      console.error('WebSpeech API não suportada neste navegador');
-      this.isSupported = false;
-      return;
+export class SpeechRecognitionManager {
+  /**
+   * Cria o adaptador de um backend: 'webspeech', 'keyword' ou 'scripted'.
+   */
+  static createRecognizer(backend = 'webspeech', options = {}) {
+    switch (backend) {
+      case 'keyword':
+        return new KeywordSpottingRecognizer(options);
+      case 'scripted':
+        return new ScriptedRecognizer(options.script, options);
+      case 'webspeech':
+      default:
+        return new WebSpeechRecognizer(options);
     }
+  }
 
-    this.isSupported = true;
-    this.recognition = new SpeechRecognition();
+  constructor(recognizer = new WebSpeechRecognizer()) {
     this.isListening = false;
-
-    this.recognition.continuous = true;
-    this.recognition.interimResults = false;
-    this.recognition.lang = 'pt-BR';
+    // Estado desejado pelo jogador (V / push-to-talk); o reconhecedor só é
+    // reiniciado ao terminar uma sessão se ainda devemos estar ouvindo
+    this.shouldListen = false;
+    this.lastTranscript = '';
 
     this.onListeningStart = null;
     this.onListeningStop = null;
     this.onCommand = null;
+    this.onError = null;
+    // Modo de baixa latência: conjura a partir de resultados parciais (interim)
+    this.lowLatency = false;
     this.audioContext = null;
+    this.audioStream = null;
     this.recentVolumes = [];
+    this.currentVolume = 0;
     this.isAudioSetup = false;
+    // Identifica o pedido de microfone atual; releaseAudioAnalysis() invalida os pendentes
+    this.audioSetupToken = 0;
+    // Ruído ambiente/fala/grito do microfone em uso (ajustado nas Configurações)
+    this.calibration = new VoiceCalibration();
+    // Tom e duração da fala; o tom é comparado à média do próprio jogador
+    this.voiceTracker = new VoiceFeatureTracker();
+    this.pitchBaseline = null;
+
+    this.setRecognizer(recognizer);
+  }
+
+  /**
+   * Troca o backend de reconhecimento (para o anterior, se estiver ouvindo).
+   */
+  setRecognizer(recognizer) {
+    const wasListening = this.shouldListen;
+    if (this.recognizer) {
+      this.recognizer.onStart = null;
+      this.recognizer.onEnd = null;
+      this.recognizer.onResult = null;
+      this.recognizer.onError = null;
+      this.recognizer.stop();
+      this.isListening = false;
+      this.shouldListen = false;
+      this.releaseAudioAnalysis();
+    }
+
+    this.recognizer = recognizer;
+    this.isSupported = recognizer.isSupported;
+    if (!this.isSupported) {
+      console.error(`Reconhecimento de voz (${recognizer.constructor.name}) não suportado neste navegador`);
+      return;
+    }
 
+    this.recognizer.setInterimResults(this.lowLatency);
     this.setupEventListeners();
+    if (wasListening) this.start();
   }
 
   async setupAudioAnalysis() {
     if (this.isAudioSetup) return;
+    this.isAudioSetup = true;
+    const token = ++this.audioSetupToken;
     
     try {
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      // Parou de ouvir (ou fez um novo pedido) enquanto a permissão/abertura do microfone estava pendente
+      if (token !== this.audioSetupToken || !this.shouldListen) {
+        stream.getTracks().forEach(track => track.stop());
+        if (token === this.audioSetupToken) this.isAudioSetup = false;
+        return;
+      }
+
+      this.audioStream = stream;
+      this.calibration = VoiceCalibration.load(VoiceCalibration.getDeviceId(stream));
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
       const source = this.audioContext.createMediaStreamSource(stream);
       const analyser = this.audioContext.createAnalyser();
       analyser.fftSize = 256;
       source.connect(analyser);
 
+      // Janela maior para o tom: ~40ms cobre alguns períodos até de vozes graves
+      const pitchAnalyser = this.audioContext.createAnalyser();
+      pitchAnalyser.fftSize = 2048;
+      source.connect(pitchAnalyser);
+
       const dataArray = new Uint8Array(analyser.frequencyBinCount);
-      this.isAudioSetup = true;
+      const timeDomainData = new Float32Array(pitchAnalyser.fftSize);
+      const audioContext = this.audioContext;
       
       const updateVolume = () => {
+        if (this.audioContext !== audioContext) return; // Análise encerrada
+
         if (!this.isListening) {
              requestAnimationFrame(updateVolume);
              return;
         }
 
-        analyser.getByteFrequencyData(dataArray);
-        
-        let sum = 0;
-        for (let i = 0; i < dataArray.length; i++) {
-          sum += dataArray[i];
+        const normalizedVolume = this.calibration.normalize(measureLevel(analyser, dataArray));
+        this.currentVolume = normalizedVolume;
+        const now = Date.now();
+
+        // O tom só é calculado enquanto há fala (autocorrelação é cara)
+        let pitch = null;
+        if (normalizedVolume >= this.voiceTracker.speechThreshold) {
+          pitchAnalyser.getFloatTimeDomainData(timeDomainData);
+          pitch = detectPitch(timeDomainData, audioContext.sampleRate);
         }
-        const average = sum / dataArray.length;
-        const normalizedVolume = Math.max(0.1, Math.min(1.5, (average - 25) / 50)); 
+        this.voiceTracker.push(now, normalizedVolume, pitch);
         
-        this.recentVolumes.push({ val: normalizedVolume, time: Date.now() });
+        this.recentVolumes.push({ val: normalizedVolume, time: now });
         
-        const now = Date.now();
         this.recentVolumes = this.recentVolumes.filter(v => now - v.time < 2000);
         
         requestAnimationFrame(updateVolume);
@@ -73,87 +148,170 @@ export class SpeechRecognitionManager {
       
     } catch (err) {
       console.error('Erro ao acessar microfone para análise de volume:', err);
+      if (token === this.audioSetupToken) this.isAudioSetup = false;
     }
   }
 
+  /**
+   * Fecha o microfone usado na análise de volume (o mic não fica aberto sem escuta).
+   */
+  releaseAudioAnalysis() {
+    if (this.audioStream) {
+      this.audioStream.getTracks().forEach(track => track.stop());
+      this.audioStream = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+    this.audioSetupToken++;
+    this.isAudioSetup = false;
+    this.currentVolume = 0;
+    this.recentVolumes = [];
+  }
+
+  /**
+   * Tom e duração da fala recente.
+   * @param {boolean} isFinal - Fecha a frase: a média de tom é atualizada e os
+   *   trechos descartados, para não contarem na próxima frase.
+   * @returns {{pitch: number|null, pitchRatio: number, duration: number}}
+   *   pitch em Hz, pitchRatio relativo ao tom habitual do jogador, duração em segundos.
+   */
+  getVoiceFeatures(isFinal = true) {
+    const { pitch, duration } = this.voiceTracker.getFeatures();
+    const pitchRatio = pitch && this.pitchBaseline ? pitch / this.pitchBaseline : 1;
+
+    if (isFinal) {
+      if (pitch) {
+        this.pitchBaseline = this.pitchBaseline ? this.pitchBaseline * 0.8 + pitch * 0.2 : pitch;
+      }
+      this.voiceTracker.reset();
+    }
+
+    return { pitch, pitchRatio, duration };
+  }
+
+  /**
+   * Nível atual do microfone (0 quando não está ouvindo).
+   */
+  getVolumeLevel() {
+      return this.isListening ? this.currentVolume : 0;
+  }
+
   getPeakVolume() {
       if (!this.recentVolumes || this.recentVolumes.length === 0) return 0.5;
       return this.recentVolumes.reduce((max, curr) => Math.max(max, curr.val), 0);
   }
 
+  /**
+   * Indica se o jogador está falando agora (volume recente acima do limiar).
+   * Usado para manter feitiços canalizados enquanto a fala continua.
+   */
+  isSpeaking(threshold = 0.25, windowMs = 250) {
+      if (!this.isListening || !this.recentVolumes || this.recentVolumes.length === 0) return false;
+      const now = Date.now();
+      return this.recentVolumes.some(v => now - v.time < windowMs && v.val > threshold);
+  }
+
   setupEventListeners() {
-    this.recognition.onstart = () => {
+    this.recognizer.onStart = () => {
       this.isListening = true;
+      // stop() chegou antes de a sessão começar
+      if (!this.shouldListen) {
+        this.recognizer.stop();
+        return;
+      }
+
       console.log('🎤 Ouvindo...');
       if (this.onListeningStart) {
         this.onListeningStart();
       }
     };
 
-    this.recognition.onresult = (event) => {
-      let transcript = '';
-
-      for (let i = event.resultIndex; i < event.results.length; i++) {
-        const transcriptSegment = event.results[i][0].transcript;
-        transcript += transcriptSegment;
-      }
-
-      if (transcript.trim()) {
-        console.log('📝 Transcrito:', transcript);
-        if (this.onCommand) {
-            const intensity = this.getPeakVolume();
-            this.onCommand(transcript.trim(), intensity);
-        }
-      }
+    this.recognizer.onResult = ({ alternatives, isFinal = true, utteranceId = null, intensity, voice }) => {
+      const features = { ...this.getVoiceFeatures(isFinal), ...voice };
+      this.emitCommand(alternatives, intensity ?? this.getPeakVolume(), { isFinal, utteranceId, voice: features });
     };
 
-    this.recognition.onerror = (event) => {
-      console.error('❌ Erro no reconhecimento de voz:', event.error);
+    this.recognizer.onError = (error) => {
+      console.error('❌ Erro no reconhecimento de voz:', error);
+      // Sem permissão/microfone: não adianta reiniciar a sessão no onEnd
+      if (FATAL_ERRORS.has(error)) this.shouldListen = false;
+      if (this.onError) {
+        this.onError(error);
+      }
     };
 
-    this.recognition.onend = () => {
+    this.recognizer.onEnd = () => {
       this.isListening = false;
       console.log('🎤 Parou de ouvir');
       if (this.onListeningStop) {
         this.onListeningStop();
       }
       
-      this.start();
+      // Sessões terminam sozinhas (silêncio, rede); só reinicia se ainda queremos ouvir
+      if (this.shouldListen) {
+        this.recognizer.start();
+      } else {
+        this.releaseAudioAnalysis();
+      }
     };
   }
 
+  emitCommand(alternatives, intensity, meta) {
+    const transcript = alternatives.length > 0 ? alternatives[0].transcript : '';
+    if (!transcript.trim()) return;
+
+    console.log(meta.isFinal ? '📝 Transcrito:' : '📝 Parcial:', transcript, alternatives);
+    this.lastTranscript = transcript.trim();
+    if (this.onCommand) {
+        this.onCommand(transcript.trim(), intensity, alternatives, meta);
+    }
+  }
+
   start() {
     if (!this.isSupported) {
-      console.error('WebSpeech API não suportada');
+      console.error('Reconhecimento de voz não suportado');
       return;
     }
 
+    this.shouldListen = true;
     if (!this.isListening) {
-      try {
-        this.recognition.start();
-        this.setupAudioAnalysis();
-      } catch (e) {
-      }
+      this.recognizer.start();
     }
+    if (this.recognizer.usesMicrophone) this.setupAudioAnalysis();
   }
 
   stop() {
+    this.shouldListen = false;
     if (this.isListening) {
-      this.recognition.stop();
+      this.recognizer.stop();
+    } else {
+      this.releaseAudioAnalysis();
     }
   }
 
 
   toggle() {
-    if (this.isListening) {
+    if (this.shouldListen) {
       this.stop();
     } else {
       this.start();
     }
   }
 
+  /**
+   * Liga/desliga a conjuração por resultados parciais.
+   */
+  setLowLatencyMode(enabled) {
+    this.lowLatency = !!enabled;
+    if (!this.isSupported) return;
+
+    this.recognizer.setInterimResults(this.lowLatency);
+  }
+
   setLanguage(lang) {
-    this.recognition.lang = lang;
+    this.recognizer.setLanguage(lang);
   }
 
 
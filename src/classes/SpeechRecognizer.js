@@ -0,0 +1,60 @@
+/**
+ * SpeechRecognizer - Interface comum dos reconhecedores de voz
+ * Cada adaptador (Web Speech, palavras-chave local, roteiro) implementa
+ * start/stop e dispara os callbacks abaixo; o SpeechRecognitionManager
+ * não sabe qual backend está por trás.
+ *
+ * onResult recebe { alternatives: [{transcript, confidence}], isFinal, utteranceId, intensity?, voice? }
+ * (intensity/voice opcionais sobrescrevem o que o manager mede no microfone).
+ * onError recebe uma string com o código/mensagem do erro.
+ */
+export class SpeechRecognizer {
+  constructor() {
+    this.isSupported = true;
+    // Se verdadeiro, o manager abre o microfone para medir o volume (intensidade)
+    this.usesMicrophone = false;
+    this.lang = 'pt-BR';
+    this.interimResults = false;
+
+    this.onStart = null;
+    this.onEnd = null;
+    this.onResult = null;
+    this.onError = null;
+  }
+
+  start() {
+    throw new Error(`${this.constructor.name}.start() não implementado`);
+  }
+
+  stop() {
+    throw new Error(`${this.constructor.name}.stop() não implementado`);
+  }
+
+  setLanguage(lang) {
+    this.lang = lang;
+  }
+
+  /**
+   * Liga/desliga a emissão de resultados parciais (isFinal: false).
+   * Adaptadores que não suportam simplesmente continuam emitindo só finais.
+   */
+  setInterimResults(enabled) {
+    this.interimResults = !!enabled;
+  }
+
+  emitStart() {
+    if (this.onStart) this.onStart();
+  }
+
+  emitEnd() {
+    if (this.onEnd) this.onEnd();
+  }
+
+  emitResult(result) {
+    if (this.onResult) this.onResult(result);
+  }
+
+  emitError(error) {
+    if (this.onError) this.onError(error);
+  }
+}
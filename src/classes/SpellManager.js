@@ -1,25 +1,50 @@
 import * as THREE from 'three';
 import { Projectile } from './Projectile.js';
+import { Beam } from './Beam.js';
 import { ParticleSystem } from './ParticleSystem.js';
+import { GameClock } from './GameClock.js';
+import { RandomService } from './Random.js';
+import { getVocabularyPack, DEFAULT_LANGUAGE } from './VocabularyPacks.js';
 
 export class SpellManager {
-  constructor(gameScene, player, audioManager, enemyManager = null) {
+  constructor(gameScene, player, audioManager, spellRegistry, enemyManager = null) {
     this.gameScene = gameScene;
     this.player = player;
     this.audioManager = audioManager;
+    this.spellRegistry = spellRegistry;
     this.enemyManager = enemyManager;
     this.scene = gameScene.getScene();
     this.projectiles = [];
-    this.particleSystem = new ParticleSystem(this.scene);
+    // Efeitos persistentes (ex: feixes canalizados) atualizados a cada frame
+    this.activeEffects = [];
+    // Fluxo de gameplay para efeitos na partida; cosmético para rastros e partículas
+    this.random = new RandomService();
+    this.particleSystem = new ParticleSystem(this.scene, this.random.cosmetic);
     this.spellNameElement = document.getElementById('spell-name');
     this.burningZones = [];
-    this.cooldowns = {
-        fireball: 0,
-        ice: 0
-    };
-    this.maxCooldowns = {
-        fireball: 500,
-        ice: 300
+    this.cooldowns = {};
+    this.cooldownMultiplier = 1.0; // Ajustado pela dificuldade
+    // Recargas e fila usam o tempo sem escala (o jogador não fica em câmera lenta);
+    // projéteis e zonas de fogo usam o tempo do mundo
+    this.clock = new GameClock();
+
+    // Estatísticas de precisão: uma conjuração conta como acerto se atingir algum inimigo
+    this.onCast = null;     // (spell) => void
+    this.onCastHit = null;  // (spell) => void
+    this.currentCast = null;
+
+    // Fila de feitiços de uma mesma frase (ex: "fogo gelo fogo")
+    this.spellQueue = [];
+    this.queueDelay = 250;       // ms entre feitiços da fila
+    this.maxQueueWait = 1500;    // ms máximos esperando cooldown antes de descartar
+    this.nextQueuedCastTime = 0;
+
+    // Cada comportamento sabe como conjurar qualquer feitiço daquele tipo
+    this.behaviors = {
+        projectile: (spell, intensity, modifiers) => this.castProjectile(spell, intensity, modifiers),
+        area: (spell, intensity) => this.castArea(spell, intensity),
+        beam: (spell, intensity) => this.castBeam(spell, intensity),
+        self: (spell, intensity) => this.castSelf(spell, intensity)
     };
   }
 
@@ -27,13 +52,173 @@ export class SpellManager {
     this.enemyManager = enemyManager;
   }
 
-  castSpell(spellName, intensity = 0.5) {
-    const now = Date.now();
-    if (this.cooldowns[spellName] && now < this.cooldowns[spellName]) {
-        console.log(`Spell ${spellName} em cooldown.`);
+  // Relógio compartilhado da partida (ver Game)
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  // Números aleatórios com a semente da partida (ver Game)
+  setRandom(random) {
+    this.random = random;
+    this.particleSystem.random = random.cosmetic;
+  }
+
+  /**
+   * @param {object} [voice] - Tom/duração da fala ({pitchRatio, duration}), se conjurado por voz.
+   */
+  castSpell(spellName, intensity = 0.5, voice = null) {
+    const spell = this.spellRegistry.get(spellName);
+    if (!spell) {
+        console.warn(`Feitiço desconhecido: ${spellName}`);
+        return;
+    }
+
+    // Repetir um feitiço canalizado apenas o mantém ativo
+    const activeEffect = this.getActiveEffect(spell.id);
+    if (activeEffect) {
+        activeEffect.sustain();
+        return;
+    }
+
+    const now = this.clock.unscaledNow();
+    if (this.isOnCooldown(spell.id)) {
+        console.log(`Spell ${spell.id} em cooldown.`);
+        return;
+    }
+
+    const cast = this.behaviors[spell.behavior];
+    if (!cast) {
+        console.warn(`Comportamento de feitiço desconhecido: ${spell.behavior}`);
+        return;
+    }
+
+    const modifiers = this.getVoiceModifiers(spell, voice);
+    // Projéteis/feixes criados durante a conjuração guardam este registro
+    this.currentCast = { spell, hit: false };
+    const result = cast(spell, intensity, modifiers);
+    const castRecord = this.currentCast;
+    this.currentCast = null;
+    if (result === false) return;
+
+    this.onCast?.(spell);
+    if (castRecord.hit) this.onCastHit?.(spell);
+    this.audioManager.playSound(spell.id);
+    this.cooldowns[spell.id] = now + spell.cooldown * this.cooldownMultiplier;
+
+    const labels = this.getLabels();
+    let displayText = spell.name;
+    if (intensity > 1.2) displayText += ` (${labels.max})`;
+    else if (intensity > 0.8) displayText += ` (${labels.strong})`;
+    if (modifiers.charge > 1.2) displayText += ` (${labels.charged})`;
+    if (modifiers.shards > 1) displayText += ` (${labels.shards})`;
+    
+    this.updateScrollText(displayText);
+  }
+
+  /**
+   * Marca a conjuração como acerto (apenas uma vez, mesmo com vários alvos/estilhaços).
+   */
+  registerHit(castRecord) {
+    if (!castRecord || castRecord.hit) return;
+    castRecord.hit = true;
+    // Acertos durante a própria conjuração (área) são reportados após onCast
+    if (castRecord !== this.currentCast) this.onCastHit?.(castRecord.spell);
+  }
+
+  // Rótulos do pergaminho no idioma ativo do registro
+  getLabels() {
+    return (this.spellRegistry.vocabulary || getVocabularyPack(DEFAULT_LANGUAGE)).labels;
+  }
+
+  /**
+   * Traduz o tom e a duração da fala nos modificadores definidos em `spell.voice`.
+   * @returns {{charge: number, shards: number, spread: number, shardDamage: number}}
+   */
+  getVoiceModifiers(spell, voice) {
+    const modifiers = { charge: 1, shards: 1, spread: 0, shardDamage: 1 };
+    if (!voice || !spell.voice) return modifiers;
+
+    const { charge, split } = spell.voice;
+    if (charge && voice.duration > charge.minDuration) {
+        const t = Math.min(1, (voice.duration - charge.minDuration) / (charge.maxDuration - charge.minDuration));
+        modifiers.charge = 1 + (charge.maxMultiplier - 1) * t;
+    }
+
+    if (split && voice.pitchRatio >= split.minPitchRatio) {
+        modifiers.shards = split.shards;
+        modifiers.spread = split.spread;
+        modifiers.shardDamage = split.damageMultiplier;
+    }
+
+    return modifiers;
+  }
+
+  isOnCooldown(spellName) {
+    return !!this.cooldowns[spellName] && this.clock.unscaledNow() < this.cooldowns[spellName];
+  }
+
+  /**
+   * Conjura uma sequência de feitiços falada numa única frase.
+   * Combos definidos no registro substituem a sequência correspondente;
+   * o restante é enfileirado com um pequeno intervalo, respeitando cooldowns.
+   */
+  castSequence(spellNames, intensity = 0.5, voice = null) {
+    const resolved = this.spellRegistry.resolveCombos(spellNames);
+    resolved.forEach(spellName => this.spellQueue.push({ spellName, intensity, voice, waitingSince: null }));
+    this.processSpellQueue();
+  }
+
+  processSpellQueue() {
+    const now = this.clock.unscaledNow();
+
+    while (this.spellQueue.length > 0 && now >= this.nextQueuedCastTime) {
+        const next = this.spellQueue[0];
+
+        if (this.isOnCooldown(next.spellName) && !this.getActiveEffect(next.spellName)) {
+            next.waitingSince = next.waitingSince ?? now;
+            if (now - next.waitingSince <= this.maxQueueWait) return;
+
+            console.log(`Spell ${next.spellName} descartado da fila (cooldown).`);
+            this.spellQueue.shift();
+            continue;
+        }
+
+        this.spellQueue.shift();
+        this.castSpell(next.spellName, next.intensity, next.voice);
+        this.nextQueuedCastTime = now + this.queueDelay;
+    }
+  }
+
+  /**
+   * Mantém (ou inicia, se fora de cooldown) um feitiço canalizado.
+   * Chamado a cada frame enquanto a tecla do feitiço estiver pressionada.
+   */
+  channelSpell(spellName, intensity = 0.5) {
+    const activeEffect = this.getActiveEffect(spellName);
+    if (activeEffect) {
+        activeEffect.sustain();
         return;
     }
 
+    if (this.isOnCooldown(spellName)) return;
+    if (!this.player.hasMana()) return;
+
+    this.castSpell(spellName, intensity);
+  }
+
+  /**
+   * Prolonga todos os feitiços canalizados ativos (ex: jogador continua falando).
+   */
+  sustainChannels() {
+    this.activeEffects.forEach(effect => effect.sustain());
+  }
+
+  getActiveEffect(spellName) {
+    return this.activeEffects.find(effect => effect.type === spellName) || null;
+  }
+
+  // Ponto de saída dos feitiços: à frente e levemente à direita da câmera
+  getCastOrigin() {
     const camera = this.player.getCamera();
     const direction = new THREE.Vector3();
     camera.getWorldDirection(direction);
@@ -43,29 +228,127 @@ export class SpellManager {
     origin.add(right.multiplyScalar(0.5));
     origin.y -= 0.3;
 
-    let displayText = "";
-
-    switch (spellName) {
-        case 'fireball':
-            this.createProjectile(origin, direction, 'fireball', intensity);
-            this.audioManager.playSound('fireball');
-            displayText = "Bola de Fogo";
-            this.cooldowns.fireball = now + this.maxCooldowns.fireball;
-            break;
-        case 'ice':
-            this.createProjectile(origin, direction, 'ice', intensity);
-            this.audioManager.playSound('ice');
-            displayText = "Gelo";
-            this.cooldowns.ice = now + this.maxCooldowns.ice;
-            break;
-        default:
-            console.warn(`Feitiço desconhecido: ${spellName}`);
+    return { origin, direction };
+  }
+
+  castProjectile(spell, intensity, modifiers = null) {
+    const { origin, direction } = this.getCastOrigin();
+    const { charge = 1, shards = 1, spread = 0, shardDamage = 1 } = modifiers || {};
+
+    // Estilhaços em leque ao redor da mira (eixo Y)
+    for (let i = 0; i < shards; i++) {
+        const angle = (i - (shards - 1) / 2) * spread;
+        const shardDirection = direction.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+        const projectile = this.createProjectile(origin.clone(), shardDirection, spell, intensity * charge);
+        projectile.damage *= charge * (shards > 1 ? shardDamage : 1);
     }
-    
-    if (intensity > 1.2) displayText += " (MAXIMO!)";
-    else if (intensity > 0.8) displayText += " (FORTE)";
-    
-    this.updateScrollText(displayText);
+  }
+
+  /**
+   * Feitiço canalizado (ex: Jato de Água).
+   * Dano e empurrão da definição são valores por segundo; o custo sai da mana do jogador.
+   */
+  castBeam(spell, intensity) {
+    if (!this.player.hasMana()) {
+        console.log(`Mana insuficiente para ${spell.id}.`);
+        return false;
+    }
+
+    const castRecord = this.currentCast;
+    const beam = new Beam(this.scene, spell, intensity, {
+        getOrigin: () => this.getCastOrigin(),
+        getTargets: () => this.enemyManager ? this.enemyManager.enemies : [],
+        getBarriers: () => this.gameScene.getBarriers(),
+        consumeResource: (amount) => this.player.spendMana(amount),
+        onHit: (enemy, direction, seconds) => {
+            const damage = spell.damage * this.player.getDamageDealtMultiplier() * seconds;
+            enemy.takeDamage(damage, direction, spell.knockback * seconds);
+            this.registerHit(castRecord);
+        },
+        onSpray: (point) => this.applyImpact(spell, point)
+    });
+    this.activeEffects.push(beam);
+  }
+
+  // O cooldown de feitiços canalizados começa quando o canal termina
+  onEffectEnd(effect) {
+    const spell = this.spellRegistry.get(effect.type);
+    if (spell) this.cooldowns[spell.id] = this.clock.unscaledNow() + spell.cooldown * this.cooldownMultiplier;
+  }
+
+  /**
+   * Feitiço de área centrado no jogador (ex: Onda de Empurrão).
+   * Aplica dano e knockback radial com queda linear conforme a distância.
+   * A intensidade da voz amplia raio e força.
+   */
+  castArea(spell, intensity) {
+    const power = 0.5 + Math.max(0.3, Math.min(2.0, intensity)) * 0.5;
+    const radius = spell.area.radius * power;
+    const force = spell.knockback * power;
+
+    const center = this.player.getPosition();
+    center.y = 0;
+
+    const damage = spell.damage * this.player.getDamageDealtMultiplier();
+    // Resfriamento/efeitos de status da definição valem para todos no raio
+    const onHit = (enemy) => {
+        if (!enemy.isAlive()) return;
+        if (spell.chill) enemy.applyChill(spell.chill);
+        if (spell.status) enemy.statusEffects.apply(spell.status.id, spell.status);
+    };
+    if (this.damageEnemiesInRadius(center, radius, damage, force, onHit) > 0) {
+        this.registerHit(this.currentCast);
+    }
+
+    this.applyImpact(spell, center, radius);
+  }
+
+  /**
+   * Feitiço no próprio jogador (ex: Rejuvenescer, Distorção Temporal).
+   * A intensidade da voz amplia a cura e a duração da câmera lenta.
+   */
+  castSelf(spell, intensity) {
+    const power = 0.5 + Math.max(0.3, Math.min(2.0, intensity)) * 0.5;
+    if (spell.heal) this.player.heal(spell.heal * power);
+    if (spell.timeScale) this.clock.slowDown(spell.timeScale.scale, spell.timeScale.duration * power);
+
+    const center = this.player.getPosition();
+    center.y = 0;
+    this.applyImpact(spell, center);
+    // Não mira inimigos: sempre conta como acerto para a precisão
+    this.registerHit(this.currentCast);
+  }
+
+  /**
+   * Dano e knockback radial a partir de um ponto, com queda linear conforme a distância.
+   * @param {function} [onHit] - Chamado para cada inimigo atingido, após o dano.
+   * @returns {number} Quantidade de inimigos atingidos.
+   */
+  damageEnemiesInRadius(center, radius, damage, force, onHit = null) {
+    if (!this.enemyManager) return 0;
+
+    let hits = 0;
+    for (const enemy of this.enemyManager.enemies) {
+        if (!enemy.isAlive()) continue;
+
+        const dir = new THREE.Vector3(
+            enemy.position.x - center.x,
+            0,
+            enemy.position.z - center.z
+        );
+        const dist = dir.length();
+        if (dist > radius) continue;
+
+        // Inimigo exatamente no centro: empurra em direção aleatória
+        if (dist < 0.001) dir.set(this.random.gameplay.next() - 0.5, 0, this.random.gameplay.next() - 0.5);
+
+        const falloff = 1 - (dist / radius);
+        // Feitiços só de efeito (sem dano/empurrão) não atordoam
+        if (damage > 0 || force > 0) enemy.takeDamage(damage * falloff, dir, force * falloff);
+        onHit?.(enemy);
+        hits++;
+    }
+    return hits;
   }
 
   updateScrollText(text) {
@@ -73,67 +356,188 @@ export class SpellManager {
           this.spellNameElement.textContent = text;
           
           this.spellNameElement.style.transform = 'translate(-50%, -50%) scale(1.2)';
-          setTimeout(() => {
+          this.clock.schedule(() => {
               this.spellNameElement.style.transform = 'translate(-50%, -50%) scale(1)';
-          }, 100);
+          }, 100, { scaled: false });
       }
   }
 
-  createProjectile(origin, direction, type, intensity) {
+  createProjectile(origin, direction, spell, intensity) {
     const projectile = new Projectile(
         this.scene, 
         origin, 
         direction, 
-        type, 
-        (pos, type) => this.onProjectileCollision(pos, type),
+        spell, 
+        (pos, type) => this.onProjectileCollision(pos, type, projectile.castRecord),
         intensity
     );
+    projectile.damage *= this.player.getDamageDealtMultiplier();
+    projectile.castRecord = this.currentCast;
     this.projectiles.push(projectile);
+    return projectile;
   }
 
-  onProjectileCollision(position, type) {
-    if (type === 'fireball') {
-        this.particleSystem.emit(position, 'fire', 200, { speed: 1.5, decay: 0.01, scale: 5.0 });
-        this.particleSystem.emit(position, 'spark', 100, { speed: 2.0, decay: 0.02 });
-        this.particleSystem.emit(position, 'smoke', 100, { speed: 0.5, decay: 0.005, scale: 8.0 });
+  onProjectileCollision(position, type, castRecord = null) {
+    const spell = this.spellRegistry.get(type);
+    if (!spell) return;
+
+    // Explosões que atingem inimigos contam como acerto mesmo errando o alvo direto
+    if (this.applyImpact(spell, position) > 0) this.registerHit(castRecord);
+  }
+
+  /**
+   * Executa os efeitos de impacto descritos na definição do feitiço.
+   * @param {number} [radius] - Raio do efeito (feitiços de área).
+   * @returns {number} Inimigos atingidos pela explosão do impacto.
+   */
+  applyImpact(spell, position, radius = null) {
+    const impact = spell.impact;
+    (impact.particles || []).forEach(burst => {
+        this.particleSystem.emit(position, burst.type, burst.count, burst.options);
+    });
+
+    let hits = 0;
+    if (impact.explosion) {
+        const { explosion } = impact;
+        const damage = explosion.damage * this.player.getDamageDealtMultiplier();
+        hits = this.damageEnemiesInRadius(position, explosion.radius, damage, explosion.knockback);
+    }
+
+    if (impact.ring) {
+        const ringRadius = radius ?? impact.explosion?.radius ?? impact.ring.radius ?? 5;
+        this.particleSystem.emitRing(position, ringRadius, impact.ring);
+    }
+
+    if (impact.burningZone) {
         this.burningZones.push({
+            tickInterval: 500, // ms entre renovações da queima de quem continua na zona
+            ...impact.burningZone,
             position: position.clone(),
-            startTime: Date.now(),
-            duration: 10000,
-            radius: 5
+            startTime: this.clock.now(),
+            nextTick: this.clock.now(),
+            targets: new Set() // Quem estava dentro da zona no último passo
         });
+    }
+
+    return hits;
+  }
 
-    } else if (type === 'ice') {
-        this.particleSystem.emit(position, 'ice', 15, { speed: 0.2, decay: 0.05 });
+  // Emite o rastro de partículas definido pelo feitiço do projétil
+  emitTrail(proj) {
+    const trail = proj.spell.trail;
+    if (!trail) return;
+
+    const rastroPos = proj.mesh.position.clone();
+    rastroPos.x += (this.random.cosmetic.next() - 0.5) * trail.spread;
+    rastroPos.y += (this.random.cosmetic.next() - 0.5) * trail.spread;
+    rastroPos.z += (this.random.cosmetic.next() - 0.5) * trail.spread;
+
+    for (const burst of trail.particles) {
+        if (burst.chance !== undefined && this.random.cosmetic.next() > burst.chance) continue;
+        this.particleSystem.emit(rastroPos, burst.type, burst.count, burst.options);
     }
   }
 
+  /**
+   * Inimigos (e, opcionalmente, o jogador) dentro da zona recebem dano de fogo.
+   * A queima é aplicada ao entrar na zona e renovada a cada `tickInterval`, não a cada passo.
+   */
+  applyBurningZone(zone, now) {
+    const isInside = (pos) => {
+        const dx = pos.x - zone.position.x;
+        const dz = pos.z - zone.position.z;
+        return (dx * dx + dz * dz) <= zone.radius * zone.radius;
+    };
+
+    const isTick = now >= zone.nextTick;
+    if (isTick) zone.nextTick = now + zone.tickInterval;
+
+    // Retorna true se o alvo acabou de entrar ou se é hora de renovar a queima
+    const shouldBurn = (target, inside) => {
+        if (!inside) {
+            zone.targets.delete(target);
+            return false;
+        }
+        const entered = !zone.targets.has(target);
+        zone.targets.add(target);
+        return entered || isTick;
+    };
+
+    if (this.enemyManager) {
+        for (const enemy of this.enemyManager.enemies) {
+            if (shouldBurn(enemy, enemy.isAlive() && isInside(enemy.position))) {
+                enemy.applyBurn(zone.burnDamagePerSecond, zone.burnDuration);
+            }
+        }
+    }
+
+    const playerInside = zone.damagesPlayer && isInside(this.player.getPosition());
+    if (shouldBurn(this.player, playerInside)) {
+        this.player.statusEffects.apply('burning', {
+            duration: zone.burnDuration,
+            params: { damagePerSecond: zone.playerDamagePerSecond }
+        });
+    }
+  }
+
+  /**
+   * Remove projéteis, feixes, zonas de fogo e partículas e zera recargas e fila (nova partida).
+   */
+  reset() {
+    this.projectiles.forEach(proj => proj.dispose());
+    this.projectiles = [];
+    this.activeEffects.forEach(effect => effect.dispose());
+    this.activeEffects = [];
+    this.burningZones = [];
+    this.particleSystem.dispose();
+    this.cooldowns = {};
+    this.spellQueue = [];
+    this.nextQueuedCastTime = 0;
+    this.currentCast = null;
+  }
+
+  /**
+   * @param {number} deltaTime - Delta real do frame (s); projéteis usam o delta com a escala do relógio.
+   */
   update(deltaTime = 0.016) {
-    this.particleSystem.update();
+    const timeScale = this.clock.getTimeScale();
+    this.particleSystem.update(deltaTime * timeScale);
+    this.processSpellQueue();
 
-    const now = Date.now();
+    const now = this.clock.now();
     for (let i = this.burningZones.length - 1; i >= 0; i--) {
         const zone = this.burningZones[i];
         if (now - zone.startTime > zone.duration) {
             this.burningZones.splice(i, 1);
             continue;
         }
-        if (Math.random() > 0.1) {
+        this.applyBurningZone(zone, now);
+
+        if (this.random.cosmetic.next() > 0.1) {
             const offset = new THREE.Vector3(
-                (Math.random() - 0.5) * zone.radius * 2,
+                (this.random.cosmetic.next() - 0.5) * zone.radius * 2,
                 0,
-                (Math.random() - 0.5) * zone.radius * 2
+                (this.random.cosmetic.next() - 0.5) * zone.radius * 2
             );
             const emitPos = zone.position.clone().add(offset);
             emitPos.y = 0; 
             
             this.particleSystem.emit(emitPos, 'fire', 1, { speed: 0.2, decay: 0.02, scale: 1.5 });
-            if (Math.random() > 0.5) {
+            if (this.random.cosmetic.next() > 0.5) {
                 this.particleSystem.emit(emitPos, 'smoke', 1, { speed: 0.3, decay: 0.01, scale: 2.0 });
             }
         }
     }
 
+    for (let i = this.activeEffects.length - 1; i >= 0; i--) {
+        const effect = this.activeEffects[i];
+        if (!effect.update(deltaTime)) {
+            effect.dispose();
+            this.activeEffects.splice(i, 1);
+            this.onEffectEnd(effect);
+        }
+    }
+
     const barriers = this.gameScene.getBarriers();
     for (let i = this.projectiles.length - 1; i >= 0; i--) {
         const proj = this.projectiles[i];
@@ -141,6 +545,7 @@ export class SpellManager {
         if (this.enemyManager) {
             const hitEnemy = this.enemyManager.checkProjectileHit(proj);
             if (hitEnemy) {
+                this.registerHit(proj.castRecord);
                 proj.onCollision(proj.mesh.position, proj.type);
                 proj.dispose();
                 this.projectiles.splice(i, 1);
@@ -148,19 +553,9 @@ export class SpellManager {
             }
         }
 
-        if (proj.type === 'fireball') {
-            const rastroPos = proj.mesh.position.clone();
-            rastroPos.x += (Math.random() - 0.5) * 10;
-            rastroPos.y += (Math.random() - 0.5) * 10;
-            rastroPos.z += (Math.random() - 0.5) * 10;
-
-            this.particleSystem.emit(rastroPos, 'fire', 2, { speed: 0.1, decay: 0.05, scale: 2.0 });
-            if (Math.random() > 0.7) {
-                 this.particleSystem.emit(rastroPos, 'smoke', 1, { speed: 0.1, scale: 3.0 });
-            }
-        }
+        this.emitTrail(proj);
 
-        const alive = proj.update(deltaTime, barriers);
+        const alive = proj.update(deltaTime * timeScale, barriers);
         if (!alive) {
             proj.dispose();
             this.projectiles.splice(i, 1);
@@ -0,0 +1,314 @@
+import { getVocabularyPack, DEFAULT_LANGUAGE } from './VocabularyPacks.js';
+
+/**
+ * SpellRegistry - Catálogo de feitiços do jogo
+ * Cada feitiço é descrito por um objeto de definição (dados), de modo que
+ * adicionar uma magia nova significa apenas registrar uma nova definição.
+ */
+
+/**
+ * Definições padrão dos feitiços.
+ * Nome e palavras mágicas não ficam aqui: vêm do pacote de idioma (VocabularyPacks).
+ * - behavior: como o feitiço é conjurado ('projectile', 'area', 'beam' ou 'self')
+ * - cooldown: tempo de recarga em milissegundos
+ * - projectile: aparência e movimento do projétil (speed em unidades/segundo)
+ * - area: alcance do efeito em área (raio base com intensidade 1.0)
+ * - beam: feixe canalizado (dano/knockback por segundo, custo de mana, tecla para segurar)
+ * - trail: partículas emitidas enquanto o projétil voa
+ * - impact: efeitos aplicados no ponto de colisão
+ * - chill: lentidão acumulada no inimigo atingido (congela ao atingir o limite)
+ * - shatterMultiplier: dano extra contra inimigos congelados
+ * - combo: sequência de feitiços falada que dispara este feitiço no lugar dela
+ * - status: efeito de status aplicado no inimigo atingido ({ id, duration, params })
+ * - heal: vida recuperada pelo jogador (behavior 'self')
+ * - timeScale: câmera lenta no mundo { scale, duration } (behavior 'self', ver GameClock)
+ * - impact.explosion: dano em área no ponto de impacto
+ * - voice: modificadores pela forma de falar
+ *     charge: segurar a palavra (duração em segundos) aumenta tamanho e dano
+ *     split: tom mais agudo que o habitual divide o projétil em estilhaços
+ */
+export const defaultSpells = [
+  {
+    id: 'fireball',
+    mouseButton: 0,
+    sound: '/sounds/jump-fall.mp3',
+    cooldown: 500,
+    behavior: 'projectile',
+    damage: 25,
+    knockback: 2.0,
+    shatterMultiplier: 2.5,
+    // "Fogooo": quanto mais longa a palavra, maior a bola de fogo
+    voice: {
+      charge: { minDuration: 0.8, maxDuration: 2.0, maxMultiplier: 1.8 }
+    },
+    projectile: {
+      speed: 48,
+      radius: 8.4,
+      segments: 16,
+      scaleWithIntensity: true,
+      material: {
+        color: 0xff4500,
+        emissive: 0xff2200,
+        emissiveIntensity: 4,
+        roughness: 0.4,
+        metalness: 0.1
+      },
+      core: { scale: 0.5, color: 0xffff00 },
+      light: { color: 0xffaa00, intensity: 35, distance: 70 }
+    },
+    trail: {
+      spread: 10,
+      particles: [
+        { type: 'fire', count: 2, options: { speed: 0.1, decay: 0.05, scale: 2.0 } },
+        { type: 'smoke', count: 1, chance: 0.3, options: { speed: 0.1, scale: 3.0 } }
+      ]
+    },
+    impact: {
+      particles: [
+        { type: 'fire', count: 200, options: { speed: 1.5, decay: 0.01, scale: 5.0 } },
+        { type: 'spark', count: 100, options: { speed: 2.0, decay: 0.02 } },
+        { type: 'smoke', count: 100, options: { speed: 0.5, decay: 0.005, scale: 8.0 } }
+      ],
+      // Área em chamas: inimigos dentro dela ficam queimando (dano por segundo)
+      burningZone: {
+        radius: 5,
+        duration: 10000,
+        burnDamagePerSecond: 8,
+        burnDuration: 2.0,
+        damagesPlayer: false,
+        playerDamagePerSecond: 4
+      }
+    }
+  },
+  {
+    id: 'ice',
+    mouseButton: 2,
+    sound: '/sounds/jump-fall.mp3',
+    cooldown: 300,
+    behavior: 'projectile',
+    damage: 20,
+    knockback: 1.0,
+    chill: { stacks: 1, duration: 4.0, freezeDuration: 2.5 },
+    // Voz aguda: estilhaços em leque, cada um com parte do dano
+    voice: {
+      split: { minPitchRatio: 1.25, shards: 3, spread: 0.12, damageMultiplier: 0.6 }
+    },
+    projectile: {
+      speed: 120,
+      radius: 0.3,
+      segments: 8,
+      scaleWithIntensity: false,
+      material: {
+        color: 0x00ffff,
+        emissive: 0x0000ff,
+        emissiveIntensity: 1,
+        transparent: true,
+        opacity: 0.8
+      },
+      light: { color: 0x00ffff, intensity: 3, distance: 8 }
+    },
+    impact: {
+      particles: [
+        { type: 'ice', count: 15, options: { speed: 0.2, decay: 0.05 } }
+      ]
+    }
+  },
+  {
+    id: 'push',
+    mouseButton: 1,
+    sound: '/sounds/jump-fall.mp3',
+    cooldown: 800,
+    behavior: 'area',
+    damage: 5,
+    knockback: 30.0,
+    area: {
+      radius: 12
+    },
+    impact: {
+      ring: { color: 0x88ccff, decay: 0.04 },
+      particles: [
+        { type: 'magic', count: 40, options: { speed: 0.6, decay: 0.04 } }
+      ]
+    }
+  },
+  {
+    id: 'water',
+    holdKey: 'f',
+    sound: '/sounds/jump-fall.mp3',
+    cooldown: 2000,
+    behavior: 'beam',
+    damage: 8,
+    knockback: 20.0,
+    beam: {
+      range: 40,
+      width: 0.4,
+      color: 0x3399ff,
+      costPerSecond: 25,
+      sustain: 1200,
+      tickInterval: 200
+    },
+    impact: {
+      particles: [
+        { type: 'water', count: 2, options: { speed: 0.3, decay: 0.06 } }
+      ]
+    }
+  },
+  {
+    id: 'steam',
+    combo: ['fireball', 'ice'],
+    sound: '/sounds/jump-fall.mp3',
+    cooldown: 1500,
+    behavior: 'projectile',
+    damage: 15,
+    knockback: 3.0,
+    projectile: {
+      speed: 72,
+      radius: 1.5,
+      segments: 12,
+      scaleWithIntensity: false,
+      material: {
+        color: 0xe8f4ff,
+        emissive: 0x88aacc,
+        emissiveIntensity: 1.5,
+        transparent: true,
+        opacity: 0.7
+      },
+      light: { color: 0xddeeff, intensity: 8, distance: 20 }
+    },
+    trail: {
+      spread: 2,
+      particles: [
+        { type: 'steam', count: 2, options: { speed: 0.1, decay: 0.04, scale: 2.0 } }
+      ]
+    },
+    impact: {
+      explosion: { radius: 10, damage: 35, knockback: 25.0 },
+      ring: { color: 0xffffff, decay: 0.03 },
+      particles: [
+        { type: 'steam', count: 150, options: { speed: 1.0, decay: 0.01, scale: 6.0 } },
+        { type: 'ice', count: 30, options: { speed: 1.2, decay: 0.03 } }
+      ]
+    }
+  }
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Mescla uma definição parcial sobre outra, objeto a objeto
+ * (ex: { projectile: { material: { color } } } troca só a cor).
+ */
+export function mergeDefinition(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeDefinition(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+export class SpellRegistry {
+  constructor(definitions = defaultSpells, vocabulary = getVocabularyPack(DEFAULT_LANGUAGE)) {
+    this.spells = new Map();
+    // Definições originais, para reaplicar quando o idioma muda
+    this.definitions = new Map();
+    this.vocabulary = vocabulary;
+    // Ajustes por feitiço (ex: paleta e bônus do mago), mesclados sobre a definição
+    this.overrides = {};
+    definitions.forEach(definition => this.register(definition));
+  }
+
+  /**
+   * Registra (ou substitui) um feitiço a partir da sua definição.
+   * Nome e aliases vêm do pacote de idioma ativo; sem tradução, o nome é o id e não há aliases.
+   */
+  register(definition) {
+    if (!definition || !definition.id) {
+      throw new Error('Definição de feitiço sem id');
+    }
+    this.definitions.set(definition.id, definition);
+
+    const spell = {
+      name: definition.id,
+      aliases: [],
+      cooldown: 0,
+      behavior: 'projectile',
+      damage: 0,
+      knockback: 0,
+      impact: {},
+      ...mergeDefinition(definition, this.overrides[definition.id] || {}),
+      ...this.vocabulary?.spells?.[definition.id]
+    };
+    spell.aliases = spell.aliases.map(alias => alias.toLowerCase());
+
+    this.spells.set(spell.id, spell);
+    return spell;
+  }
+
+  unregister(id) {
+    this.definitions.delete(id);
+    return this.spells.delete(id);
+  }
+
+  /**
+   * Troca o pacote de idioma (ver VocabularyPacks) e refaz nomes e aliases.
+   */
+  setVocabulary(vocabulary) {
+    this.vocabulary = vocabulary;
+    Array.from(this.definitions.values()).forEach(definition => this.register(definition));
+  }
+
+  /**
+   * Troca os ajustes por feitiço e reaplica todas as definições.
+   * @param {object} overrides - { [spellId]: definição parcial }
+   */
+  setOverrides(overrides) {
+    this.overrides = overrides;
+    Array.from(this.definitions.values()).forEach(definition => this.register(definition));
+  }
+
+  get(id) {
+    return this.spells.get(id) || null;
+  }
+
+  has(id) {
+    return this.spells.has(id);
+  }
+
+  getAll() {
+    return Array.from(this.spells.values());
+  }
+
+  /**
+   * Substitui sequências que formam combos pelo feitiço de combo correspondente.
+   * Ex: ['fireball', 'ice', 'fireball'] => ['steam', 'fireball']
+   */
+  resolveCombos(spellIds) {
+    const combos = this.getAll()
+      .filter(spell => Array.isArray(spell.combo) && spell.combo.length > 0)
+      .sort((a, b) => b.combo.length - a.combo.length);
+
+    const resolved = [];
+    let i = 0;
+    while (i < spellIds.length) {
+      const combo = combos.find(spell =>
+        spell.combo.every((id, k) => spellIds[i + k] === id)
+      );
+      if (combo) {
+        resolved.push(combo.id);
+        i += combo.combo.length;
+      } else {
+        resolved.push(spellIds[i]);
+        i++;
+      }
+    }
+    return resolved;
+  }
+
+  findByMouseButton(button) {
+    return this.getAll().find(spell => spell.mouseButton === button) || null;
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * StatusEffects - Componente de efeitos de status (queimando, resfriado, congelado...)
+ * Compartilhado por Enemy e Player. Cada efeito tem duração, regra de acúmulo,
+ * callbacks de tick e modificadores de velocidade, dano recebido e dano causado.
+ */
+
+/**
+ * Definições dos efeitos.
+ * - stacking: 'refresh' (renova duração), 'stack' (acumula até maxStacks),
+ *             'extend' (soma duração) ou 'ignore' (não reaplica)
+ * - modifiers: { speed, damageTaken, damageDealt } multiplicativos, ou função (effect) => {...}
+ * - tickInterval/onTick: callback periódico (segundos)
+ * - onApply: chamado a cada aplicação (inclusive novos acúmulos)
+ * - preventsActions: o alvo não se move nem ataca
+ * - blockedBy: efeitos que impedem este de ser aplicado
+ * - tint/priority: cor de destaque na malha (maior prioridade vence)
+ */
+export const statusEffectDefinitions = {
+  burning: {
+    name: 'Queimando',
+    icon: '🔥',
+    duration: 2.0,
+    stacking: 'refresh',
+    tickInterval: 0.5,
+    tint: 0xff4400,
+    priority: 2,
+    onTick: (owner, effect, seconds) => {
+      owner.emitStatusParticles?.('fire', 3);
+      const multiplier = owner.burnDamageMultiplier ?? 1.0;
+      owner.takeDamage(effect.params.damagePerSecond * seconds * multiplier);
+    }
+  },
+  chilled: {
+    name: 'Resfriado',
+    icon: '❄️',
+    duration: 4.0,
+    stacking: 'stack',
+    maxStacks: 8,
+    tint: 0x3399ff,
+    priority: 1,
+    blockedBy: ['frozen'],
+    modifiers: (effect) => ({ speed: Math.max(0.2, 1 - 0.2 * effect.stacks) }),
+    onApply: (owner, effect, effects) => {
+      const threshold = owner.freezeThreshold ?? 4;
+      if (effect.stacks >= threshold) {
+        effects.remove('chilled');
+        effects.apply('frozen', { duration: effect.params.freezeDuration });
+      }
+    }
+  },
+  frozen: {
+    name: 'Congelado',
+    icon: '🧊',
+    duration: 2.5,
+    stacking: 'ignore',
+    preventsActions: true,
+    tint: 0x2266ff,
+    priority: 3,
+    modifiers: { speed: 0, damageDealt: 0 }
+  },
+  // Dardo Sombrio: recebe mais dano e causa menos
+  cursed: {
+    name: 'Amaldiçoado',
+    icon: '🕸️',
+    duration: 6.0,
+    stacking: 'refresh',
+    tint: 0x6600aa,
+    priority: 1,
+    modifiers: { damageTaken: 1.5, damageDealt: 0.7 }
+  }
+};
+
+export class StatusEffects {
+  constructor(owner, definitions = statusEffectDefinitions) {
+    this.owner = owner;
+    this.definitions = definitions;
+    this.effects = new Map();
+    this.onChange = null;
+  }
+
+  /**
+   * Aplica um efeito respeitando a regra de acúmulo da definição.
+   * @param {string} id
+   * @param {object} [options] - { duration, stacks, params }
+   * @returns {object|null} O efeito ativo ou null se não foi aplicado.
+   */
+  apply(id, { duration, stacks = 1, params = {} } = {}) {
+    const def = this.definitions[id];
+    if (!def) {
+      console.warn(`Efeito de status desconhecido: ${id}`);
+      return null;
+    }
+    if (def.blockedBy && def.blockedBy.some(other => this.has(other))) return null;
+
+    const maxStacks = def.maxStacks || 1;
+    const effectDuration = duration ?? def.duration;
+    let effect = this.effects.get(id);
+
+    if (!effect) {
+      effect = {
+        id,
+        def,
+        stacks: Math.min(stacks, maxStacks),
+        remaining: effectDuration,
+        tickTimer: 0,
+        params: { ...params }
+      };
+      this.effects.set(id, effect);
+    } else {
+      switch (def.stacking) {
+        case 'ignore':
+          return effect;
+        case 'stack':
+          effect.stacks = Math.min(effect.stacks + stacks, maxStacks);
+          effect.remaining = effectDuration;
+          break;
+        case 'extend':
+          effect.remaining += effectDuration;
+          break;
+        case 'refresh':
+        default:
+          effect.remaining = Math.max(effect.remaining, effectDuration);
+          break;
+      }
+      Object.assign(effect.params, params);
+    }
+
+    def.onApply?.(this.owner, effect, this);
+    this.notifyChange();
+    return this.effects.get(id) || null;
+  }
+
+  remove(id) {
+    const effect = this.effects.get(id);
+    if (!effect) return;
+
+    this.effects.delete(id);
+    effect.def.onRemove?.(this.owner, effect, this);
+    this.notifyChange();
+  }
+
+  has(id) {
+    return this.effects.has(id);
+  }
+
+  get(id) {
+    return this.effects.get(id) || null;
+  }
+
+  getStacks(id) {
+    return this.effects.get(id)?.stacks || 0;
+  }
+
+  list() {
+    return Array.from(this.effects.values());
+  }
+
+  /**
+   * Avança durações e ticks.
+   * @param {number} dt - Delta time em segundos.
+   */
+  update(dt) {
+    for (const effect of this.list()) {
+      const { def } = effect;
+
+      if (def.tickInterval && def.onTick) {
+        effect.tickTimer += dt;
+        while (effect.tickTimer >= def.tickInterval) {
+          effect.tickTimer -= def.tickInterval;
+          def.onTick(this.owner, effect, def.tickInterval);
+          if (this.owner.isAlive && !this.owner.isAlive()) return;
+        }
+      }
+
+      effect.remaining -= dt;
+      if (effect.remaining <= 0 && this.effects.get(effect.id) === effect) {
+        this.remove(effect.id);
+      }
+    }
+  }
+
+  /**
+   * Produto dos modificadores ativos (ex: 'speed', 'damageTaken', 'damageDealt').
+   */
+  getModifier(name) {
+    let value = 1.0;
+    for (const effect of this.effects.values()) {
+      const modifiers = typeof effect.def.modifiers === 'function'
+        ? effect.def.modifiers(effect)
+        : effect.def.modifiers;
+      if (modifiers && modifiers[name] !== undefined) value *= modifiers[name];
+    }
+    return value;
+  }
+
+  canAct() {
+    return !this.list().some(effect => effect.def.preventsActions);
+  }
+
+  // Cor do efeito ativo de maior prioridade (ou null)
+  getTint() {
+    let best = null;
+    for (const effect of this.effects.values()) {
+      if (effect.def.tint === undefined) continue;
+      if (!best || (effect.def.priority || 0) > (best.def.priority || 0)) best = effect;
+    }
+    return best ? best.def.tint : null;
+  }
+
+  clear() {
+    if (this.effects.size === 0) return;
+    for (const id of Array.from(this.effects.keys())) {
+      const effect = this.effects.get(id);
+      this.effects.delete(id);
+      effect.def.onRemove?.(this.owner, effect, this);
+    }
+    this.notifyChange();
+  }
+
+  notifyChange() {
+    this.onChange?.(this);
+  }
+}
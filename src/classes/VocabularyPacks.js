@@ -0,0 +1,89 @@
+/**
+ * VocabularyPacks - Pacotes de idioma dos feitiços
+ * Cada pacote define, para um idioma do reconhecimento de voz, o nome exibido
+ * e as palavras mágicas (aliases) de cada feitiço, as palavras de preenchimento
+ * ignoradas pelo parser e os rótulos mostrados no pergaminho.
+ * Os pacotes são a única fonte de nomes e aliases: as definições dos feitiços
+ * (SpellRegistry, MageProfiles) não trazem palavras. Um feitiço ausente do
+ * pacote aparece pelo id e não pode ser conjurado por voz nesse idioma.
+ * Cada pacote só reconhece a própria língua; para falar inglês, escolha en-US.
+ */
+
+export const DEFAULT_LANGUAGE = 'pt-BR';
+
+export const vocabularyPacks = {
+  'pt-BR': {
+    label: 'Português (Brasil)',
+    spells: {
+      fireball: { name: 'Bola de Fogo', aliases: ['bola de fogo', 'fogo'] },
+      ice: { name: 'Gelo', aliases: ['gelo'] },
+      push: { name: 'Onda de Empurrão', aliases: ['empurrão', 'empurrao', 'empurra'] },
+      water: { name: 'Jato de Água', aliases: ['jato de água', 'jato de agua', 'água', 'agua'] },
+      steam: { name: 'Explosão de Vapor', aliases: ['explosão de vapor', 'vapor'] },
+      // Feitiços assinatura dos magos (ver MageProfiles)
+      arcane: { name: 'Míssil Arcano', aliases: ['míssil arcano', 'missil arcano', 'arcano'] },
+      shadow: { name: 'Dardo Sombrio', aliases: ['dardo sombrio', 'sombra', 'trevas'] },
+      inferno: { name: 'Inferno', aliases: ['inferno', 'incendio', 'incêndio'] },
+      blizzard: { name: 'Nevasca', aliases: ['nevasca', 'tempestade de gelo'] },
+      regrowth: { name: 'Rejuvenescer', aliases: ['rejuvenescer', 'cura', 'curar'] },
+      slowTime: { name: 'Distorção Temporal', aliases: ['distorção temporal', 'distorcao temporal', 'tempo', 'câmera lenta', 'camera lenta', 'lento'] }
+    },
+    fillerWords: [
+      'lanca', 'lancar', 'lance', 'solta', 'soltar', 'magia', 'feitico',
+      'o', 'a', 'um', 'uma', 'de', 'da', 'do', 'e', 'depois'
+    ],
+    labels: { max: 'MÁXIMO!', strong: 'FORTE', charged: 'CARREGADA', shards: 'ESTILHAÇOS' }
+  },
+  'en-US': {
+    label: 'English (US)',
+    spells: {
+      fireball: { name: 'Fireball', aliases: ['fireball', 'fire ball', 'fire'] },
+      ice: { name: 'Ice Shard', aliases: ['ice shard', 'ice', 'frost'] },
+      push: { name: 'Push Wave', aliases: ['push wave', 'push', 'repel'] },
+      water: { name: 'Water Jet', aliases: ['water jet', 'water', 'splash'] },
+      steam: { name: 'Steam Blast', aliases: ['steam blast', 'steam'] },
+      // Feitiços assinatura dos magos (ver MageProfiles)
+      arcane: { name: 'Arcane Missile', aliases: ['arcane missile', 'arcane'] },
+      shadow: { name: 'Shadow Bolt', aliases: ['shadow bolt', 'shadow'] },
+      inferno: { name: 'Inferno', aliases: ['inferno', 'firestorm'] },
+      blizzard: { name: 'Blizzard', aliases: ['blizzard', 'snowstorm'] },
+      regrowth: { name: 'Regrowth', aliases: ['regrowth', 'heal'] },
+      slowTime: { name: 'Time Warp', aliases: ['time warp', 'slow time', 'slow motion', 'slow', 'time'] }
+    },
+    fillerWords: ['cast', 'the', 'a', 'an', 'and', 'then', 'spell', 'magic'],
+    labels: { max: 'MAXIMUM!', strong: 'STRONG', charged: 'CHARGED', shards: 'SHARDS' }
+  },
+  'es-ES': {
+    label: 'Español (España)',
+    spells: {
+      fireball: { name: 'Bola de Fuego', aliases: ['bola de fuego', 'fuego'] },
+      ice: { name: 'Hielo', aliases: ['hielo', 'escarcha'] },
+      push: { name: 'Onda de Empuje', aliases: ['onda de empuje', 'empuje', 'empuja'] },
+      water: { name: 'Chorro de Agua', aliases: ['chorro de agua', 'agua'] },
+      steam: { name: 'Explosión de Vapor', aliases: ['explosión de vapor', 'vapor'] },
+      // Feitiços assinatura dos magos (ver MageProfiles)
+      arcane: { name: 'Misil Arcano', aliases: ['misil arcano', 'arcano'] },
+      shadow: { name: 'Dardo Sombrío', aliases: ['dardo sombrío', 'dardo sombrio', 'sombra'] },
+      inferno: { name: 'Infierno', aliases: ['infierno', 'incendio'] },
+      blizzard: { name: 'Ventisca', aliases: ['ventisca', 'tormenta de hielo'] },
+      regrowth: { name: 'Rejuvenecer', aliases: ['rejuvenecer', 'curar', 'cura'] },
+      slowTime: { name: 'Distorsión Temporal', aliases: ['distorsión temporal', 'distorsion temporal', 'cámara lenta', 'camara lenta', 'lento', 'tiempo'] }
+    },
+    fillerWords: [
+      'lanza', 'lanzar', 'hechizo', 'magia',
+      'el', 'la', 'un', 'una', 'de', 'del', 'y', 'luego', 'despues'
+    ],
+    labels: { max: '¡MÁXIMO!', strong: 'FUERTE', charged: 'CARGADA', shards: 'ESQUIRLAS' }
+  }
+};
+
+/**
+ * Pacote do idioma (ou o padrão, se o idioma não existir).
+ */
+export function getVocabularyPack(lang) {
+  return vocabularyPacks[lang] || vocabularyPacks[DEFAULT_LANGUAGE];
+}
+
+export function getSupportedLanguages() {
+  return Object.keys(vocabularyPacks);
+}
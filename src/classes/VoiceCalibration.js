@@ -0,0 +1,105 @@
+/**
+ * VoiceCalibration - Calibração de intensidade da voz por microfone
+ * Converte o nível bruto do microfone (média do espectro, 0..255) na
+ * intensidade dos feitiços (0.1..1.5) usando o ruído ambiente e os níveis
+ * de fala normal e de grito medidos pelo jogador. Salva por dispositivo.
+ */
+
+const STORAGE_KEY = 'voiceCalibration';
+
+export const MIN_INTENSITY = 0.1;
+export const MAX_INTENSITY = 1.5;
+
+// Equivalente às constantes antigas: (média - 25) / 50
+const DEFAULT_LEVELS = { noiseFloor: 25, normalLevel: 75, shoutLevel: 100 };
+
+/**
+ * Nível bruto do analisador: média das magnitudes do espectro (0..255).
+ */
+export function measureLevel(analyser, dataArray) {
+  analyser.getByteFrequencyData(dataArray);
+
+  let sum = 0;
+  for (let i = 0; i < dataArray.length; i++) {
+    sum += dataArray[i];
+  }
+  return sum / dataArray.length;
+}
+
+function loadAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    console.warn('Calibração de voz inválida no localStorage:', e);
+    return {};
+  }
+}
+
+export class VoiceCalibration {
+  /**
+   * @param {object} levels - { noiseFloor, normalLevel, shoutLevel } em nível bruto.
+   */
+  constructor({ noiseFloor, normalLevel, shoutLevel } = DEFAULT_LEVELS) {
+    this.noiseFloor = noiseFloor;
+    this.normalLevel = Math.max(normalLevel, noiseFloor + 1);
+    this.shoutLevel = Math.max(shoutLevel, this.normalLevel + 1);
+
+    // Limiar: abaixo do ruído ambiente a intensidade é mínima.
+    // Ganho: leva a fala normal a 1.0; o grito leva ao máximo.
+    this.threshold = this.noiseFloor;
+    this.gain = 1 / (this.normalLevel - this.noiseFloor);
+    this.shoutGain = (MAX_INTENSITY - 1) / (this.shoutLevel - this.normalLevel);
+  }
+
+  /**
+   * Intensidade do feitiço para um nível bruto do microfone.
+   */
+  normalize(level) {
+    const intensity = level <= this.normalLevel
+      ? (level - this.threshold) * this.gain
+      : 1 + (level - this.normalLevel) * this.shoutGain;
+    return Math.max(MIN_INTENSITY, Math.min(MAX_INTENSITY, intensity));
+  }
+
+  toJSON() {
+    return {
+      noiseFloor: this.noiseFloor,
+      normalLevel: this.normalLevel,
+      shoutLevel: this.shoutLevel,
+      threshold: this.threshold,
+      gain: this.gain,
+      shoutGain: this.shoutGain,
+      date: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Calibração salva para o microfone (ou a padrão, se não houver).
+   */
+  static load(deviceId = 'default') {
+    const saved = loadAll()[deviceId];
+    return saved ? new VoiceCalibration(saved) : new VoiceCalibration();
+  }
+
+  static save(deviceId, calibration) {
+    const all = loadAll();
+    all[deviceId || 'default'] = calibration.toJSON();
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  }
+
+  static remove(deviceId) {
+    const all = loadAll();
+    delete all[deviceId || 'default'];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  }
+
+  static isCalibrated(deviceId = 'default') {
+    return !!loadAll()[deviceId];
+  }
+
+  // Identificador do microfone de um stream (para salvar a calibração por dispositivo)
+  static getDeviceId(stream) {
+    const [track] = stream.getAudioTracks();
+    return (track && track.getSettings().deviceId) || 'default';
+  }
+}
@@ -0,0 +1,186 @@
+import { VoiceCalibration, measureLevel, MAX_INTENSITY } from './VoiceCalibration.js';
+
+/**
+ * VoiceCalibrationWizard - Assistente de calibração do microfone (página de Configurações)
+ * Grava o ruído ambiente, uma conjuração normal e uma gritada, salva a
+ * calibração do dispositivo e mostra a intensidade resultante num medidor ao vivo.
+ */
+
+const STEP_SECONDS = 3;
+const MIN_SPEECH_MARGIN = 5; // Fala normal precisa superar o ruído por pelo menos isso (nível bruto)
+const MIN_SHOUT_MARGIN = 3;
+
+// Média dos `fraction` maiores valores (picos de fala sem depender de um único estalo)
+function topAverage(samples, fraction) {
+  const sorted = [...samples].sort((a, b) => b - a);
+  const count = Math.max(1, Math.round(sorted.length * fraction));
+  return sorted.slice(0, count).reduce((sum, v) => sum + v, 0) / count;
+}
+
+export class VoiceCalibrationWizard {
+  /**
+   * @param {object} elements - { container, step, meterFill, meterValue, startButton, closeButton }
+   */
+  constructor(elements) {
+    this.elements = elements;
+    this.stream = null;
+    this.audioContext = null;
+    this.analyser = null;
+    this.dataArray = null;
+    this.deviceId = 'default';
+    this.calibration = new VoiceCalibration();
+    this.recording = null;
+    this.isRunning = false;
+    // Incrementado por close(): calibrações e aberturas pendentes param após o próximo await
+    this.runToken = 0;
+    this.animationFrameId = null;
+
+    this.elements.startButton.addEventListener('click', () => this.calibrate());
+    this.elements.closeButton?.addEventListener('click', () => this.close());
+  }
+
+  /**
+   * @returns {Promise<boolean>} false se o assistente foi fechado enquanto o microfone abria.
+   */
+  async open() {
+    if (this.stream) return true;
+
+    const token = this.runToken;
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    if (token !== this.runToken) {
+      stream.getTracks().forEach(track => track.stop());
+      return false;
+    }
+
+    this.stream = stream;
+    this.deviceId = VoiceCalibration.getDeviceId(this.stream);
+    this.calibration = VoiceCalibration.load(this.deviceId);
+
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const source = this.audioContext.createMediaStreamSource(this.stream);
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = 256; // Mesmo analisador usado no jogo
+    source.connect(this.analyser);
+    this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+
+    this.elements.container.style.display = 'block';
+    this.updateMeter();
+    return true;
+  }
+
+  close() {
+    this.runToken++;
+    if (this.animationFrameId !== null) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+    this.recording = null;
+    this.isRunning = false;
+    this.elements.startButton.disabled = false;
+    this.elements.container.style.display = 'none';
+  }
+
+  // Medidor ao vivo com a calibração atual; também alimenta a gravação em andamento
+  updateMeter = () => {
+    if (!this.analyser) return;
+    this.animationFrameId = requestAnimationFrame(this.updateMeter);
+
+    const level = measureLevel(this.analyser, this.dataArray);
+    if (this.recording) this.recording.push(level);
+
+    const intensity = this.calibration.normalize(level);
+    this.elements.meterFill.style.width = `${(intensity / MAX_INTENSITY) * 100}%`;
+    this.elements.meterValue.textContent = intensity.toFixed(2);
+  };
+
+  setStep(text) {
+    this.elements.step.textContent = text;
+  }
+
+  record(seconds) {
+    const samples = [];
+    this.recording = samples;
+    return new Promise(resolve => {
+      setTimeout(() => {
+        // Uma gravação cancelada não interrompe a da calibração seguinte
+        if (this.recording === samples) this.recording = null;
+        resolve(samples);
+      }, seconds * 1000);
+    });
+  }
+
+  async countdown(text, token) {
+    for (let i = 3; i > 0; i--) {
+      if (token !== this.runToken) return;
+      this.setStep(`${text} em ${i}...`);
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  async calibrate() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.elements.startButton.disabled = true;
+    const token = this.runToken;
+    const isCancelled = () => token !== this.runToken; // Fechado durante a calibração
+
+    try {
+      try {
+        if (!await this.open()) return;
+      } catch (err) {
+        if (isCancelled()) return;
+        console.error('Erro ao acessar microfone para calibração:', err);
+        this.elements.container.style.display = 'block';
+        this.setStep('❌ Não foi possível acessar o microfone');
+        return;
+      }
+
+      await this.countdown('🤫 Fique em silêncio', token);
+      if (isCancelled()) return;
+      this.setStep('🤫 Gravando ruído ambiente...');
+      const noiseFloor = topAverage(await this.record(STEP_SECONDS), 0.1);
+      if (isCancelled()) return;
+
+      await this.countdown('🗣 Diga "fogo" em voz normal', token);
+      if (isCancelled()) return;
+      this.setStep('🗣 Diga "fogo" em voz normal!');
+      const normalLevel = topAverage(await this.record(STEP_SECONDS), 0.1);
+      if (isCancelled()) return;
+
+      await this.countdown('📢 Grite "FOGO!"', token);
+      if (isCancelled()) return;
+      this.setStep('📢 Grite "FOGO!"');
+      const shoutLevel = topAverage(await this.record(STEP_SECONDS), 0.1);
+      if (isCancelled()) return;
+
+      if (normalLevel < noiseFloor + MIN_SPEECH_MARGIN) {
+        this.setStep('⚠ A fala ficou no nível do ruído. Aproxime-se do microfone e tente novamente.');
+        return;
+      }
+      if (shoutLevel < normalLevel + MIN_SHOUT_MARGIN) {
+        this.setStep('⚠ O grito não foi mais alto que a fala normal. Tente novamente.');
+        return;
+      }
+
+      this.calibration = new VoiceCalibration({ noiseFloor, normalLevel, shoutLevel });
+      VoiceCalibration.save(this.deviceId, this.calibration);
+      console.log('Calibração de voz salva:', this.deviceId, this.calibration.toJSON());
+      this.setStep('✓ Calibrado! Fale para testar: voz normal ≈ 1.00x, grito ≈ 1.50x');
+    } finally {
+      // close() já liberou o assistente, e uma nova calibração pode ter começado
+      if (!isCancelled()) {
+        this.isRunning = false;
+        this.elements.startButton.disabled = false;
+      }
+    }
+  }
+}
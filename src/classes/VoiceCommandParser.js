@@ -0,0 +1,259 @@
+/**
+ * VoiceCommandParser - Interpreta transcrições de voz como comandos de feitiço
+ * Módulo puro (sem DOM/Three.js): recebe as alternativas do reconhecedor com
+ * suas confianças e casa as palavras com os aliases de cada feitiço usando
+ * distância de edição e uma chave fonética simplificada para português.
+ */
+
+const DEFAULT_OPTIONS = {
+  minConfidence: 0.4,       // Alternativas abaixo disso são descartadas
+  unknownConfidence: 0.6,   // Confiança assumida quando o navegador não informa (0/undefined)
+  minSimilarity: 0.85,      // Similaridade mínima palavra a palavra (0..1)
+  minFuzzyLength: 5,        // Palavras mais curtas precisam casar exatamente (ou foneticamente)
+  confusionSimilarity: 0.65, // Palavra que só casa pelas trocas comuns do reconhecedor (ex: "jogo" → "fogo")
+  minScore: 0.5,            // Pontuação mínima (confiança × similaridade) do comando final
+  maxExtraWords: 2,         // Palavras fora da gramática toleradas na frase
+  fillerWords: []           // Vêm do pacote de idioma (ver setFillerWords)
+};
+
+/**
+ * Minúsculas, sem acentos e sem pontuação, separado em palavras.
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Chave fonética aproximada do português: une grafias que soam igual
+ * (ex: "ç"/"ss"/"c" antes de e/i, "g"/"j" antes de e/i, "qu"/"k", "h" mudo).
+ */
+export function phoneticKey(word) {
+  return word
+    .replace(/ph/g, 'f')
+    .replace(/ch/g, 'x')
+    .replace(/lh/g, 'li')
+    .replace(/nh/g, 'ni')
+    .replace(/qu/g, 'k')
+    .replace(/c(?=[ei])/g, 's')
+    .replace(/g(?=[ei])/g, 'j')
+    .replace(/c/g, 'k')
+    .replace(/z/g, 's')
+    .replace(/w/g, 'u')
+    .replace(/y/g, 'i')
+    .replace(/h/g, '')
+    .replace(/o$/, 'u')
+    .replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Chave fonética com as consoantes que o reconhecedor costuma trocar unidas
+ * (j/f e g/v: "jogo" → "fogo", "velo" → "gelo").
+ */
+export function confusionKey(phonetic) {
+  return phonetic.replace(/[jv]/g, 'f');
+}
+
+/**
+ * Distância de Levenshtein entre duas strings.
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function similarity(a, b) {
+  const maxLength = Math.max(a.length, b.length);
+  return maxLength === 0 ? 1 : 1 - levenshtein(a, b) / maxLength;
+}
+
+export class VoiceCommandParser {
+  /**
+   * @param {Array<{id: string, aliases: string[]}>} vocabulary - Ex: spellRegistry.getAll()
+   * @param {object} [options] - Sobrescreve DEFAULT_OPTIONS.
+   */
+  constructor(vocabulary = [], options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.setFillerWords(this.options.fillerWords);
+    this.setVocabulary(vocabulary);
+  }
+
+  // Palavras ignoradas na frase (ex: "lança", "the"): `fillerWords` do pacote de idioma
+  setFillerWords(words) {
+    this.fillerWords = new Set(words.flatMap(normalizeText));
+  }
+
+  setVocabulary(vocabulary) {
+    this.aliases = [];
+    for (const entry of vocabulary) {
+      for (const alias of entry.aliases || []) {
+        const words = normalizeText(alias);
+        if (words.length === 0) continue;
+        this.aliases.push({
+          spellId: entry.id,
+          alias,
+          words,
+          phonetic: words.map(phoneticKey)
+        });
+      }
+    }
+    // Aliases mais longos primeiro ("bola de fogo" antes de "fogo")
+    this.aliases.sort((a, b) => b.words.length - a.words.length);
+  }
+
+  /**
+   * Similaridade entre uma palavra falada e uma palavra do alias (0..1).
+   * 0 se as palavras não casam.
+   */
+  wordSimilarity(token, word, phonetic) {
+    if (token === word) return 1;
+
+    const tokenPhonetic = phoneticKey(token);
+    if (tokenPhonetic === phonetic) return 0.9;
+    if (confusionKey(tokenPhonetic) === confusionKey(phonetic)) return this.options.confusionSimilarity;
+    if (Math.min(token.length, word.length) < this.options.minFuzzyLength) return 0;
+
+    const fuzzy = Math.max(similarity(token, word), similarity(tokenPhonetic, phonetic));
+    return fuzzy >= this.options.minSimilarity ? fuzzy : 0;
+  }
+
+  /**
+   * Percorre as palavras da esquerda para a direita casando aliases.
+   * @returns {{matches: Array, extraWords: number}}
+   */
+  scan(tokens) {
+    const matches = [];
+    let extraWords = 0;
+    let i = 0;
+
+    while (i < tokens.length) {
+      let best = null;
+
+      for (const alias of this.aliases) {
+        const length = alias.words.length;
+        if (i + length > tokens.length) continue;
+
+        let total = 0;
+        let rejected = false;
+        for (let k = 0; k < length; k++) {
+          const score = this.wordSimilarity(tokens[i + k], alias.words[k], alias.phonetic[k]);
+          if (score === 0) {
+            rejected = true;
+            break;
+          }
+          total += score;
+        }
+        if (rejected) continue;
+
+        const score = total / length;
+        if (!best || score > best.similarity || (score === best.similarity && length > best.length)) {
+          best = { spellId: alias.spellId, alias: alias.alias, start: i, length, similarity: score };
+        }
+      }
+
+      if (best) {
+        matches.push(best);
+        i += best.length;
+      } else {
+        if (!this.fillerWords.has(tokens[i])) extraWords++;
+        i++;
+      }
+    }
+
+    return { matches, extraWords };
+  }
+
+  /**
+   * Interpreta uma transcrição (string) ou lista de alternativas do reconhecedor.
+   * @param {string|Array<{transcript: string, confidence?: number}>} input
+   * @returns {{spellId, alias, transcript, confidence, similarity, score}|null}
+   *   O melhor comando, ou null se nenhuma alternativa for confiável.
+   */
+  parse(input) {
+    let best = null;
+
+    for (const candidate of this.evaluate(input)) {
+      const [first] = candidate.matches;
+      const score = candidate.confidence * first.similarity;
+      if (!best || score > best.score) {
+        best = {
+          spellId: first.spellId,
+          alias: first.alias,
+          transcript: candidate.transcript,
+          confidence: candidate.confidence,
+          similarity: first.similarity,
+          score
+        };
+      }
+    }
+
+    return best && best.score >= this.options.minScore ? best : null;
+  }
+
+  /**
+   * Extrai a sequência ordenada de feitiços de uma frase (ex: "fogo gelo fogo").
+   * @returns {{spellIds: string[], transcript, confidence, similarity, score}|null}
+   */
+  parseSequence(input) {
+    let best = null;
+
+    for (const candidate of this.evaluate(input)) {
+      const { matches } = candidate;
+      const averageSimilarity = matches.reduce((sum, m) => sum + m.similarity, 0) / matches.length;
+      const score = candidate.confidence * averageSimilarity;
+      if (!best || score > best.score) {
+        best = {
+          spellIds: matches.map(m => m.spellId),
+          transcript: candidate.transcript,
+          confidence: candidate.confidence,
+          similarity: averageSimilarity,
+          score
+        };
+      }
+    }
+
+    return best && best.score >= this.options.minScore ? best : null;
+  }
+
+  /**
+   * Alternativas aceitas pela gramática, com seus casamentos.
+   */
+  evaluate(input) {
+    const alternatives = typeof input === 'string'
+      ? [{ transcript: input, confidence: 1 }]
+      : (input || []);
+
+    const accepted = [];
+    for (const alternative of alternatives) {
+      const confidence = alternative.confidence > 0
+        ? alternative.confidence
+        : this.options.unknownConfidence;
+      if (confidence < this.options.minConfidence) continue;
+
+      const { matches, extraWords } = this.scan(normalizeText(alternative.transcript));
+      if (matches.length === 0 || extraWords > this.options.maxExtraWords) continue;
+      // Casamento fraco (troca de consoante) só vale como comando isolado, não no meio de uma conversa
+      if (extraWords > 0 && matches.some(m => m.similarity < this.options.minSimilarity)) continue;
+
+      accepted.push({ transcript: alternative.transcript, confidence, matches });
+    }
+    return accepted;
+  }
+}
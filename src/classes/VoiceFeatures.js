@@ -0,0 +1,120 @@
+/**
+ * VoiceFeatures - Extração de tom (pitch) e duração da fala
+ * Usa os dados no domínio do tempo do AnalyserNode: o tom por autocorrelação
+ * e a duração pelos trechos contínuos com volume acima do limiar de fala.
+ */
+
+/**
+ * Frequência fundamental (Hz) de um trecho de áudio, ou null se não houver voz clara.
+ * @param {Float32Array} buffer - Amostras no domínio do tempo (getFloatTimeDomainData).
+ * @param {number} sampleRate
+ */
+export function detectPitch(buffer, sampleRate, {
+  minFrequency = 70,
+  maxFrequency = 600,
+  minRms = 0.01,
+  minClarity = 0.6
+} = {}) {
+  const minLag = Math.floor(sampleRate / maxFrequency);
+  const maxLag = Math.min(Math.ceil(sampleRate / minFrequency), Math.floor(buffer.length / 2));
+  const size = buffer.length - maxLag;
+  if (size <= 0 || minLag >= maxLag) return null;
+
+  let energy = 0;
+  for (let i = 0; i < size; i++) energy += buffer[i] * buffer[i];
+  if (Math.sqrt(energy / size) < minRms) return null;
+
+  // Autocorrelação normalizada: 1 = trecho idêntico deslocado de `lag` amostras
+  const correlations = new Float32Array(maxLag + 2);
+  let bestLag = -1;
+  let bestCorrelation = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    let shiftedEnergy = 0;
+    for (let i = 0; i < size; i++) {
+      sum += buffer[i] * buffer[i + lag];
+      shiftedEnergy += buffer[i + lag] * buffer[i + lag];
+    }
+    const correlation = sum / Math.sqrt(energy * shiftedEnergy || 1);
+    correlations[lag] = correlation;
+    if (correlation > bestCorrelation) {
+      bestCorrelation = correlation;
+      bestLag = lag;
+    }
+  }
+
+  if (bestLag < 0 || bestCorrelation < minClarity) return null;
+
+  // Múltiplos do período também correlacionam bem: fica com o primeiro pico
+  // próximo do melhor, evitando erros de oitava
+  for (let lag = minLag + 1; lag < bestLag; lag++) {
+    const isPeak = correlations[lag] >= correlations[lag - 1] && correlations[lag] >= correlations[lag + 1];
+    if (isPeak && correlations[lag] >= bestCorrelation * 0.9) {
+      bestLag = lag;
+      break;
+    }
+  }
+
+  // Interpolação parabólica em torno do pico para precisão sub-amostra
+  let lag = bestLag;
+  if (bestLag > minLag && bestLag < maxLag) {
+    const a = correlations[bestLag - 1];
+    const b = correlations[bestLag];
+    const c = correlations[bestLag + 1];
+    const denominator = a - 2 * b + c;
+    if (denominator !== 0) lag += 0.5 * (a - c) / denominator;
+  }
+
+  return sampleRate / lag;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Acompanha trechos de fala ao longo do tempo (um por palavra/sílaba sustentada).
+ */
+export class VoiceFeatureTracker {
+  constructor({ speechThreshold = 0.25, maxGapMs = 250, historyMs = 4000 } = {}) {
+    this.speechThreshold = speechThreshold; // Intensidade (calibrada) mínima para contar como fala
+    this.maxGapMs = maxGapMs;               // Pausas menores que isso não quebram o trecho
+    this.historyMs = historyMs;
+    this.segments = [];
+  }
+
+  /**
+   * @param {number} time - Date.now()
+   * @param {number} intensity - Volume calibrado do frame.
+   * @param {number|null} pitch - Tom do frame em Hz.
+   */
+  push(time, intensity, pitch) {
+    this.segments = this.segments.filter(segment => time - segment.end < this.historyMs);
+    if (intensity < this.speechThreshold) return;
+
+    let segment = this.segments[this.segments.length - 1];
+    if (!segment || time - segment.end > this.maxGapMs) {
+      segment = { start: time, end: time, pitches: [] };
+      this.segments.push(segment);
+    }
+    segment.end = time;
+    if (pitch) segment.pitches.push(pitch);
+  }
+
+  /**
+   * @returns {{duration: number, pitch: number|null}} duração (s) do trecho mais
+   *   longo e tom mediano da fala recente.
+   */
+  getFeatures() {
+    const duration = this.segments.reduce((max, s) => Math.max(max, s.end - s.start), 0) / 1000;
+    const pitch = median(this.segments.flatMap(s => s.pitches));
+    return { duration, pitch };
+  }
+
+  reset() {
+    this.segments = [];
+  }
+}
@@ -0,0 +1,126 @@
+import { SpeechRecognizer } from './SpeechRecognizer.js';
+
+/**
+ * WebSpeechRecognizer - Adaptador para a WebSpeech API do navegador
+ * Requer Chrome/Edge (o áudio é transcrito por um serviço na nuvem).
+ */
+export class WebSpeechRecognizer extends SpeechRecognizer {
+  constructor({ lang = 'pt-BR', maxAlternatives = 3 } = {}) {
+    super();
+    this.lang = lang;
+
+    const SpeechRecognition =
+      window.SpeechRecognition || window.webkitSpeechRecognition;
+
+    if (!SpeechRecognition) {
+      this.isSupported = false;
+      return;
+    }
+
+    this.usesMicrophone = true;
+    this.recognition = new SpeechRecognition();
+    this.recognition.continuous = true;
+    this.recognition.interimResults = false;
+    this.recognition.maxAlternatives = maxAlternatives;
+    this.recognition.lang = lang;
+    this.sessionId = 0;
+    this.isActive = false;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.recognition.onstart = () => {
+      this.isActive = true;
+      this.sessionId++; // Os índices de resultado recomeçam a cada sessão
+      this.emitStart();
+    };
+
+    this.recognition.onresult = (event) => {
+      if (!this.interimResults) {
+        this.emitResult({
+          alternatives: this.collectAlternatives(event.results, event.resultIndex),
+          isFinal: true,
+          utteranceId: null
+        });
+        return;
+      }
+
+      // Cada resultado é uma frase: emite os parciais e o final com o mesmo id
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        this.emitResult({
+          alternatives: this.collectAlternatives(event.results, i, i + 1),
+          isFinal: event.results[i].isFinal,
+          utteranceId: `${this.sessionId}:${i}`
+        });
+      }
+    };
+
+    this.recognition.onerror = (event) => this.emitError(event.error);
+    this.recognition.onend = () => {
+      this.isActive = false;
+      this.emitEnd();
+    };
+  }
+
+  /**
+   * Monta as alternativas (transcrição + confiança) dos resultados no intervalo.
+   * A alternativa N concatena o N-ésimo palpite de cada segmento.
+   */
+  collectAlternatives(results, start = 0, end = results.length) {
+    const alternatives = [];
+
+    for (let i = start; i < end; i++) {
+      const result = results[i];
+      for (let j = 0; j < result.length; j++) {
+        if (!alternatives[j]) alternatives[j] = { transcript: '', confidence: 0, segments: 0 };
+        alternatives[j].transcript += result[j].transcript;
+        alternatives[j].confidence += result[j].confidence || 0;
+        alternatives[j].segments++;
+      }
+    }
+
+    return alternatives.map(({ transcript, confidence, segments }) => ({
+      transcript: transcript.trim(),
+      confidence: segments > 0 ? confidence / segments : 0
+    }));
+  }
+
+  start() {
+    if (!this.isSupported) return;
+    try {
+      this.recognition.start();
+    } catch (e) {
+      if (e.name === 'InvalidStateError') return; // Já estava ouvindo
+      // Falha ao iniciar: encerra a sessão para o manager não ficar esperando o onstart
+      this.emitError(e.message || String(e));
+      this.emitEnd();
+    }
+  }
+
+  stop() {
+    if (!this.isActive) return;
+    this.recognition.stop();
+  }
+
+  // O novo idioma vale a partir da próxima sessão (reiniciada pelo manager)
+  setLanguage(lang) {
+    super.setLanguage(lang);
+    if (!this.isSupported || this.recognition.lang === lang) return;
+
+    this.recognition.lang = lang;
+    this.stop();
+  }
+
+  /**
+   * O Chrome só aplica interimResults numa nova sessão: paramos o
+   * reconhecimento e o manager o reinicia ao receber onEnd.
+   */
+  setInterimResults(enabled) {
+    super.setInterimResults(enabled);
+    if (!this.isSupported || this.recognition.interimResults === this.interimResults) return;
+
+    this.recognition.interimResults = this.interimResults;
+    this.stop();
+  }
+}
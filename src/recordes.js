@@ -0,0 +1,199 @@
+import { HighScoreStore, NO_MAGE } from './classes/HighScoreStore.js';
+import { SpellRegistry } from './classes/SpellRegistry.js';
+import { settingsService } from './classes/SettingsService.js';
+
+const store = new HighScoreStore();
+const spellRegistry = new SpellRegistry();
+
+const difficultyNames = {
+  facil: 'Fácil',
+  normal: 'Normal',
+  dificil: 'Difícil',
+  lendario: 'Lendário'
+};
+
+const enemyTypeNames = {
+  normal: 'Normais',
+  clone: 'Clones',
+  miniBoss: 'Mini-Bosses',
+  boss: 'Bosses'
+};
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+function formatTime(seconds = 0) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// Número para exibição ('-' se ausente/inválido)
+function formatNumber(value) {
+  return Number.isFinite(value) ? String(value) : '-';
+}
+
+// "Bola de Fogo ×12, Gelo ×8" (mais usados primeiro)
+function formatSpells(castsBySpell = {}) {
+  return Object.entries(castsBySpell)
+    .sort((a, b) => b[1] - a[1])
+    .map(([id, count]) => `${spellRegistry.get(id)?.name || id} ×${Number(count)}`)
+    .join(', ') || '-';
+}
+
+function formatKillsTitle(killsByType = {}) {
+  return Object.entries(killsByType)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${enemyTypeNames[type] || type}: ${Number(count)}`)
+    .join(' · ');
+}
+
+function formatMage(mage) {
+  const { icon, nome } = mage || NO_MAGE;
+  return `${icon} ${nome}`;
+}
+
+// Mago atualmente selecionado vem primeiro; depois os que já têm partidas
+function populateMageFilter() {
+  const select = document.getElementById('filterMage');
+  const mages = new Map([[NO_MAGE.id, NO_MAGE]]);
+
+  try {
+    const selected = JSON.parse(localStorage.getItem('selectedMago'));
+    if (selected) mages.set(selected.id, selected);
+  } catch (e) {
+    console.warn('Mago selecionado inválido no localStorage:', e);
+  }
+  store.getBoards().forEach(board => mages.set(board.mage.id, board.mage));
+
+  const previous = select.value;
+  select.innerHTML = '';
+  mages.forEach(mage => {
+    const option = document.createElement('option');
+    option.value = mage.id;
+    option.textContent = formatMage(mage);
+    select.appendChild(option);
+  });
+
+  if (previous && mages.has(Number(previous))) select.value = previous;
+}
+
+function getSelectedMage() {
+  const id = Number(document.getElementById('filterMage').value);
+  return store.getBoards().find(board => board.mage.id === id)?.mage || { ...NO_MAGE, id };
+}
+
+function renderLeaderboard() {
+  const body = document.getElementById('leaderboardBody');
+  const difficulty = document.getElementById('filterDifficulty').value;
+  const runs = store.getBoard(difficulty, getSelectedMage());
+
+  if (runs.length === 0) {
+    body.innerHTML = '<tr><td colspan="8" class="recordes-empty">Nenhuma partida registrada neste placar.</td></tr>';
+    return;
+  }
+
+  body.innerHTML = runs.map((run, i) => `
+    <tr>
+      <td>${i + 1}</td>
+      <td class="recordes-score">${Number(run.score).toLocaleString('pt-BR')}</td>
+      <td>${formatNumber(run.horde)}</td>
+      <td title="${escapeHtml(formatKillsTitle(run.killsByType))}">${formatNumber(run.kills)}</td>
+      <td>${Math.round((Number(run.accuracy) || 0) * 100)}%</td>
+      <td>${formatTime(Number(run.timeSurvived) || 0)}</td>
+      <td class="recordes-spells">${escapeHtml(formatSpells(run.castsBySpell))}</td>
+      <td>${escapeHtml(formatDate(run.date))}</td>
+    </tr>
+  `).join('');
+}
+
+function renderHistory() {
+  const body = document.getElementById('historyBody');
+  const runs = store.getRuns().slice(0, 20);
+
+  if (runs.length === 0) {
+    body.innerHTML = '<tr><td colspan="6" class="recordes-empty">Nenhuma partida ainda. Boa sorte na arena!</td></tr>';
+    return;
+  }
+
+  body.innerHTML = runs.map(run => `
+    <tr>
+      <td>${escapeHtml(formatDate(run.date))}</td>
+      <td>${escapeHtml(formatMage(run.mage))}</td>
+      <td>${difficultyNames[run.difficulty] || escapeHtml(run.difficulty)}</td>
+      <td class="recordes-score">${Number(run.score).toLocaleString('pt-BR')}</td>
+      <td>${formatNumber(run.horde)}</td>
+      <td title="${escapeHtml(formatKillsTitle(run.killsByType))}">${formatNumber(run.kills)}</td>
+    </tr>
+  `).join('');
+}
+
+function render() {
+  populateMageFilter();
+  renderLeaderboard();
+  renderHistory();
+}
+
+function exportRuns() {
+  const blob = new Blob([store.exportJSON()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `magebonk-recordes-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function importRuns(file) {
+  try {
+    const added = store.importJSON(await file.text());
+    alert(`${added} partida(s) importada(s)! ✓`);
+    render();
+  } catch (e) {
+    console.error('Erro ao importar recordes:', e);
+    alert(`Não foi possível importar: ${e.message}`);
+  }
+}
+
+function init() {
+  // Abre no placar da dificuldade configurada
+  document.getElementById('filterDifficulty').value = settingsService.get('difficulty');
+
+  render();
+
+  // Sem partidas no placar padrão: mostra o da partida mais recente
+  const [latest] = store.getRuns();
+  if (latest && store.getBoard(document.getElementById('filterDifficulty').value, getSelectedMage()).length === 0) {
+    document.getElementById('filterDifficulty').value = latest.difficulty;
+    document.getElementById('filterMage').value = (latest.mage || NO_MAGE).id;
+    renderLeaderboard();
+  }
+
+  document.getElementById('filterDifficulty').addEventListener('change', renderLeaderboard);
+  document.getElementById('filterMage').addEventListener('change', renderLeaderboard);
+  document.getElementById('btnExport').addEventListener('click', exportRuns);
+
+  const fileInput = document.getElementById('importFile');
+  document.getElementById('btnImport').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) importRuns(fileInput.files[0]);
+    fileInput.value = '';
+  });
+
+  document.getElementById('btnClear').addEventListener('click', () => {
+    if (confirm('Tem certeza que deseja apagar todos os recordes?')) {
+      store.clear();
+      render();
+    }
+  });
+
+  console.log('Página de recordes carregada! 🏆');
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -1,42 +1,63 @@
-const settingsDefaults = {
-  volumeGeral: 70,
-  volumeMusica: 60,
-  volumeEfeitos: 80,
-  mouseSensitivity: 5,
-  invertY: false,
-  difficulty: 'normal',
-  qualidade: 'media',
-  shadows: true,
-  bloom: true
-};
+import { VoiceCalibrationWizard } from './classes/VoiceCalibrationWizard.js';
+import { settingsService, SETTINGS_SCHEMA } from './classes/SettingsService.js';
+
+const rangeDisplays = [
+  ['volumeGeral', 'volumeGeralValue'],
+  ['volumeMusica', 'volumeMusicaValue'],
+  ['volumeEfeitos', 'volumeEfeitosValue'],
+  ['mouseSensitivity', 'mouseSensitivityValue']
+];
+
+function formatRangeValue(inputId, value) {
+  return inputId.includes('Sensitivity') ? `${value}` : value + '%';
+}
 
 function loadSettings() {
-  const saved = localStorage.getItem('settings');
-  return saved ? JSON.parse(saved) : settingsDefaults;
+  return settingsService.getAll();
+}
+
+/**
+ * Lê os campos do formulário. O menu de pausa não tem todos os campos
+ * (ex: dificuldade), então só entram os que existem na página.
+ */
+function readSettingsForm() {
+  const settings = {};
+  for (const [key, rule] of Object.entries(SETTINGS_SCHEMA)) {
+    const element = document.getElementById(key);
+    if (!element) continue;
+
+    if (rule.type === 'boolean') settings[key] = element.checked;
+    else if (rule.type === 'number') settings[key] = parseInt(element.value);
+    else settings[key] = element.value;
+  }
+  return settings;
+}
+
+function fillSettingsForm(settings) {
+  for (const [key, rule] of Object.entries(SETTINGS_SCHEMA)) {
+    const element = document.getElementById(key);
+    if (!element) continue;
+
+    if (rule.type === 'boolean') element.checked = settings[key];
+    else element.value = settings[key];
+  }
+
+  for (const [inputId, displayId] of rangeDisplays) {
+    const display = document.getElementById(displayId);
+    if (display) display.textContent = formatRangeValue(inputId, settings[inputId]);
+  }
 }
 
 function saveSettings() {
-  const settings = {
-    volumeGeral: parseInt(document.getElementById('volumeGeral').value),
-    volumeMusica: parseInt(document.getElementById('volumeMusica').value),
-    volumeEfeitos: parseInt(document.getElementById('volumeEfeitos').value),
-    mouseSensitivity: parseInt(document.getElementById('mouseSensitivity').value),
-    invertY: document.getElementById('invertY').checked,
-    difficulty: document.getElementById('difficulty').value,
-    qualidade: document.getElementById('qualidade').value,
-    shadows: document.getElementById('shadows').checked,
-    bloom: document.getElementById('bloom').checked
-  };
-
-  localStorage.setItem('settings', JSON.stringify(settings));
+  settingsService.update(readSettingsForm());
   alert('Configurações salvas com sucesso! ✓');
-  console.log('Configurações salvas:', settings);
+  console.log('Configurações salvas:', settingsService.getAll());
 }
 
 function resetSettings() {
   if (confirm('Tem certeza que deseja restaurar as configurações padrão?')) {
-    localStorage.removeItem('settings');
-    initSettings();
+    settingsService.reset();
+    fillSettingsForm(loadSettings());
     alert('Configurações restauradas! ⟲');
   }
 }
@@ -46,39 +67,53 @@ function updateRangeDisplay(inputId, displayId) {
   const display = document.getElementById(displayId);
 
   input.addEventListener('input', (e) => {
-    display.textContent = inputId.includes('Sensitivity')
-      ? e.target.value
-      : e.target.value + '%';
+    display.textContent = formatRangeValue(inputId, e.target.value);
   });
 }
 
+/**
+ * No menu de pausa cada alteração já vale para a partida em andamento
+ * (o jogo assina o settingsService), sem precisar clicar em Salvar.
+ */
+function setupLiveSettings() {
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    const element = document.getElementById(key);
+    if (!element) continue;
+
+    const eventName = element.type === 'range' ? 'input' : 'change';
+    element.addEventListener(eventName, () => settingsService.update(readSettingsForm()));
+  }
+}
+
 function initSettings() {
-  const settings = loadSettings();
+  fillSettingsForm(loadSettings());
+  rangeDisplays.forEach(([inputId, displayId]) => updateRangeDisplay(inputId, displayId));
 
-  document.getElementById('volumeGeral').value = settings.volumeGeral;
-  document.getElementById('volumeGeralValue').textContent = settings.volumeGeral + '%';
+  // Mantém o formulário em dia com mudanças feitas em outra aba
+  settingsService.subscribe(fillSettingsForm, { immediate: false });
 
-  document.getElementById('volumeMusica').value = settings.volumeMusica;
-  document.getElementById('volumeMusicaValue').textContent = settings.volumeMusica + '%';
+  if (document.getElementById('settings-container')) setupLiveSettings();
 
-  document.getElementById('volumeEfeitos').value = settings.volumeEfeitos;
-  document.getElementById('volumeEfeitosValue').textContent = settings.volumeEfeitos + '%';
+  initVoiceCalibration();
 
-  document.getElementById('mouseSensitivity').value = settings.mouseSensitivity;
-  document.getElementById('mouseSensitivityValue').textContent = settings.mouseSensitivity;
+  console.log('Configurações carregadas! ⚙');
+}
 
-  document.getElementById('invertY').checked = settings.invertY;
-  document.getElementById('difficulty').value = settings.difficulty;
-  document.getElementById('qualidade').value = settings.qualidade;
-  document.getElementById('shadows').checked = settings.shadows;
-  document.getElementById('bloom').checked = settings.bloom;
+let voiceCalibrationWizard = null;
 
-  updateRangeDisplay('volumeGeral', 'volumeGeralValue');
-  updateRangeDisplay('volumeMusica', 'volumeMusicaValue');
-  updateRangeDisplay('volumeEfeitos', 'volumeEfeitosValue');
-  updateRangeDisplay('mouseSensitivity', 'mouseSensitivityValue');
+// Só existe na página de Configurações (o menu de pausa não tem o assistente)
+function initVoiceCalibration() {
+  const startButton = document.getElementById('voiceCalibrate');
+  if (!startButton || voiceCalibrationWizard) return;
 
-  console.log('Configurações carregadas! ⚙');
+  voiceCalibrationWizard = new VoiceCalibrationWizard({
+    container: document.getElementById('voice-calibration'),
+    step: document.getElementById('voice-calibration-step'),
+    meterFill: document.getElementById('voice-meter-fill'),
+    meterValue: document.getElementById('voice-meter-value'),
+    startButton,
+    closeButton: document.getElementById('voiceCalibrationClose')
+  });
 }
 
 window.saveSettings = saveSettings;
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Beam } from '../src/classes/Beam.js';
+
+const spell = {
+  id: 'water',
+  beam: { width: 0.3, color: 0x3399ff, range: 40, sustain: 500, costPerSecond: 0, tickInterval: 100 }
+};
+
+function createEnemy(z) {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2));
+  mesh.position.set(0, 1, z);
+  mesh.updateMatrixWorld();
+  return { mesh, isAlive: () => true };
+}
+
+function createBarrier(z) {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(20, 10, 2));
+  mesh.position.set(0, 5, z);
+  mesh.updateMatrixWorld();
+  return { mesh };
+}
+
+// Feixe saindo da origem na direção -Z; registra os inimigos atingidos
+function fireBeam({ enemies, barriers }) {
+  const hits = [];
+  const beam = new Beam(new THREE.Scene(), spell, 1.0, {
+    getOrigin: () => ({ origin: new THREE.Vector3(0, 1, 0), direction: new THREE.Vector3(0, 0, -1) }),
+    getTargets: () => enemies,
+    getBarriers: () => barriers,
+    consumeResource: () => true,
+    onHit: enemy => hits.push(enemy)
+  });
+  beam.update(0.1);
+  return { beam, hits };
+}
+
+test('o feixe atinge o inimigo à frente', () => {
+  const enemy = createEnemy(-10);
+  const { beam, hits } = fireBeam({ enemies: [enemy], barriers: [createBarrier(-30)] });
+  assert.deepEqual(hits, [enemy]);
+  assert.ok(Math.abs(beam.mesh.scale.z - 9) < 1e-6);
+});
+
+test('barreiras bloqueiam o feixe', () => {
+  const enemy = createEnemy(-20);
+  const { beam, hits } = fireBeam({ enemies: [enemy], barriers: [createBarrier(-10)] });
+  assert.deepEqual(hits, []);
+  assert.ok(Math.abs(beam.mesh.scale.z - 9) < 1e-6); // Para na face da barreira
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { difficultyProfiles, getDifficultyProfile } from '../src/classes/DifficultyProfiles.js';
+
+// Player e EnemyManager só procuram os elementos do HUD; sem eles a interface é ignorada
+globalThis.document ??= { getElementById: () => null };
+globalThis.window ??= { innerWidth: 800, innerHeight: 600 };
+const { Player } = await import('../src/classes/Player.js');
+const { EnemyManager } = await import('../src/classes/EnemyManager.js');
+const { DEFAULT_ENEMY_CONFIG } = await import('../src/classes/Enemy.js');
+
+const createPlayer = () => new Player({});
+
+test('só o Lendário não tem regeneração', () => {
+  const withoutRegeneration = Object.entries(difficultyProfiles)
+    .filter(([, profile]) => !profile.regeneration)
+    .map(([id]) => id);
+  assert.deepEqual(withoutRegeneration, ['lendario']);
+});
+
+test('sem regeneração, a mana não volta e a cura não funciona', () => {
+  const player = createPlayer();
+  player.setRegeneration(getDifficultyProfile('lendario').regeneration);
+  player.currentHP = 40;
+  player.currentMana = 10;
+
+  player.heal(25);
+  player.updateMana(5);
+  assert.equal(player.currentHP, 40);
+  assert.equal(player.currentMana, 10);
+
+  player.refillMana();
+  assert.equal(player.currentMana, player.maxMana);
+});
+
+test('com regeneração, a mana volta e a cura funciona', () => {
+  const player = createPlayer();
+  player.setRegeneration(getDifficultyProfile('normal').regeneration);
+  player.currentHP = 40;
+  player.currentMana = 10;
+
+  player.heal(25);
+  player.updateMana(1);
+  assert.equal(player.currentHP, 65);
+  assert.ok(player.currentMana > 10);
+});
+
+test('a velocidade da dificuldade vale também para a patrulha', () => {
+  const enemyManager = new EnemyManager({ getScene: () => ({}) }, createPlayer());
+  enemyManager.setDifficulty(getDifficultyProfile('lendario'));
+
+  const config = enemyManager.scaleEnemyConfig({});
+  assert.equal(config.speed, DEFAULT_ENEMY_CONFIG.speed * 1.3);
+  assert.equal(config.patrolSpeed, DEFAULT_ENEMY_CONFIG.patrolSpeed * 1.3);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { RandomService } from '../src/classes/Random.js';
+
+// EnemyManager só procura os elementos do HUD; sem eles a interface é ignorada
+globalThis.document ??= { getElementById: () => null };
+const { EnemyManager } = await import('../src/classes/EnemyManager.js');
+
+// Registra os spawns de algumas hordas de uma partida com a semente dada
+function recordSpawns(seed) {
+  const gameScene = { getScene: () => new THREE.Scene() };
+  const player = { getPosition: () => new THREE.Vector3(0, 0, 0) };
+  const enemyManager = new EnemyManager(gameScene, player);
+  enemyManager.setRandom(new RandomService(seed));
+
+  const spawns = [];
+  enemyManager.executeSpawn = (pos, config) => {
+    spawns.push({ x: pos.x, z: pos.z, hp: config.hp, speed: config.speed, type: config.type });
+  };
+
+  for (const hordeLevel of [1, 2, 5]) {
+    enemyManager.hordeLevel = hordeLevel;
+    enemyManager.enemiesSpawnedCount = 0;
+    for (let i = 0; i < 8; i++) enemyManager.spawnNextEnemy();
+  }
+  enemyManager.bossSummon(new THREE.Vector3(10, 2, -10));
+  return spawns;
+}
+
+test('a mesma semente gera a mesma sequência de spawns', () => {
+  const first = recordSpawns(12345);
+  assert.ok(first.length > 24);
+  assert.deepEqual(recordSpawns(12345), first);
+});
+
+test('sementes diferentes geram sequências diferentes', () => {
+  assert.notDeepEqual(recordSpawns(1), recordSpawns(2));
+});
+
+test('trocar a semente reinicia o fluxo de gameplay', () => {
+  const random = new RandomService(42);
+  const first = [random.gameplay.next(), random.gameplay.next()];
+  random.setSeed(42);
+  assert.deepEqual([random.gameplay.next(), random.gameplay.next()], first);
+});
+
+test('números cosméticos não alteram o fluxo de gameplay', () => {
+  const plain = new RandomService(42);
+  const withParticles = new RandomService(42);
+  for (let i = 0; i < 10; i++) withParticles.cosmetic.next();
+  assert.equal(withParticles.gameplay.next(), plain.gameplay.next());
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HighScoreStore } from '../src/classes/HighScoreStore.js';
+
+// localStorage em memória
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+const day = 24 * 60 * 60 * 1000;
+
+function createRun(index, score, difficulty = 'normal') {
+  return {
+    id: `run-${index}`,
+    date: new Date(Date.UTC(2026, 0, 1) + index * day).toISOString(),
+    score,
+    difficulty
+  };
+}
+
+test('mantém os recordes depois de mais de 200 partidas', () => {
+  const store = new HighScoreStore(createStorage());
+  // Os recordes são as partidas mais antigas; depois vêm 250 partidas fracas
+  const records = [5000, 4000, 3000].map((score, i) => createRun(i, score));
+  const weak = Array.from({ length: 250 }, (_, i) => createRun(i + 3, 10 + i % 7));
+  store.saveRuns([...records, ...weak]);
+
+  const board = store.getBoard('normal');
+  assert.deepEqual(board.slice(0, 3).map(run => run.score), [5000, 4000, 3000]);
+  assert.equal(board.length, 10);
+
+  // O histórico recente continua limitado
+  const runs = store.getRuns();
+  assert.ok(runs.length <= 200 + 10);
+  assert.equal(runs[0].id, 'run-252');
+});
+
+test('mantém os recordes de cada placar', () => {
+  const store = new HighScoreStore(createStorage());
+  const hardRecord = createRun(0, 900, 'dificil');
+  const weak = Array.from({ length: 220 }, (_, i) => createRun(i + 1, 10));
+  store.saveRuns([hardRecord, ...weak]);
+
+  assert.deepEqual(store.getBoard('dificil').map(run => run.id), ['run-0']);
+});
+
+test('importação conta só as partidas que ficaram salvas', () => {
+  const store = new HighScoreStore(createStorage());
+  store.saveRuns(Array.from({ length: 200 }, (_, i) => createRun(i + 100, 1000)));
+
+  // Partidas mais antigas e piores que todo o placar não cabem
+  const old = Array.from({ length: 20 }, (_, i) => createRun(i, 1));
+  const record = createRun(50, 99999);
+  const added = store.importJSON(JSON.stringify({ version: 1, runs: [...old, record] }));
+
+  assert.equal(added, 1);
+  assert.equal(store.getBoard('normal')[0].id, 'run-50');
+});
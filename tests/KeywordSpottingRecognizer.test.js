@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeywordSpottingRecognizer, MODEL_UNAVAILABLE, getKeywordLabels } from '../src/classes/KeywordSpottingRecognizer.js';
+
+// Origem de áudio falsa: o teste entrega os blocos manualmente
+function createFrameSource(sampleRate = 16000) {
+  return {
+    isSupported: true,
+    started: false,
+    onFrame: null,
+    async start(onFrame) {
+      this.started = true;
+      this.onFrame = onFrame;
+      return sampleRate;
+    },
+    stop() {
+      this.started = false;
+      this.onFrame = null;
+    }
+  };
+}
+
+// Modelo falso: devolve sempre as mesmas probabilidades e guarda as entradas
+function createModel(scores) {
+  return {
+    inputs: [],
+    async predict(samples) {
+      this.inputs.push(samples);
+      return scores;
+    }
+  };
+}
+
+const speech = (length, amplitude = 0.5) => new Float32Array(length).fill(amplitude);
+
+function startRecognizer(options) {
+  const recognizer = new KeywordSpottingRecognizer(options);
+  const events = { results: [], errors: [], starts: 0, ends: 0 };
+  recognizer.onResult = result => events.results.push(result);
+  recognizer.onError = error => events.errors.push(error);
+  recognizer.onStart = () => events.starts++;
+  recognizer.onEnd = () => events.ends++;
+  return { recognizer, events, started: recognizer.start() };
+}
+
+test('emite a palavra-chave reconhecida pelo modelo', async () => {
+  const frameSource = createFrameSource();
+  const model = createModel({ _silence_: 0.02, _unknown_: 0.03, 'bola de fogo': 0.9, gelo: 0.05 });
+  const { events, started } = startRecognizer({ model, frameSource });
+  await started;
+  assert.equal(events.starts, 1);
+
+  // 250 ms de fala a 16 kHz completam um passo de inferência
+  await frameSource.onFrame(speech(4000));
+
+  assert.equal(model.inputs.length, 1);
+  assert.equal(model.inputs[0].length, 16000); // Janela de 1 s na taxa do modelo
+  assert.equal(events.results.length, 1);
+  const [result] = events.results;
+  assert.equal(result.isFinal, true);
+  assert.equal(result.alternatives[0].transcript, 'bola de fogo');
+  assert.ok(result.alternatives.every(alt => !alt.transcript.startsWith('_')));
+});
+
+test('não roda o modelo em silêncio nem aceita palavras abaixo do limiar', async () => {
+  const frameSource = createFrameSource();
+  const model = createModel({ _silence_: 0.4, gelo: 0.6 });
+  const { events, started } = startRecognizer({ model, frameSource });
+  await started;
+
+  await frameSource.onFrame(speech(4000, 0));
+  assert.equal(model.inputs.length, 0);
+
+  await frameSource.onFrame(speech(4000));
+  assert.equal(model.inputs.length, 1);
+  assert.equal(events.results.length, 0);
+});
+
+test('reamostra o áudio para a taxa do modelo', async () => {
+  const frameSource = createFrameSource(48000);
+  const model = createModel({ gelo: 0.9 });
+  const { started } = startRecognizer({ model, frameSource });
+  await started;
+
+  await frameSource.onFrame(speech(12000));
+  assert.equal(model.inputs[0].length, 16000);
+});
+
+test('carrega o modelo do idioma com os rótulos do pacote de vocabulário', async () => {
+  const frameSource = createFrameSource();
+  let loaded = null;
+  const recognizer = new KeywordSpottingRecognizer({
+    frameSource,
+    loadModel: async (options) => {
+      loaded = options;
+      return createModel({});
+    }
+  });
+  recognizer.setLanguage('es-ES');
+  await recognizer.start();
+
+  assert.equal(loaded.modelUrl, '/models/keywords-es-ES.onnx');
+  assert.deepEqual(loaded.labels, getKeywordLabels('es-ES'));
+  assert.ok(loaded.labels.includes('bola de fuego'));
+});
+
+test('sem modelo, avisa o erro e encerra a sessão', async () => {
+  const frameSource = createFrameSource();
+  const { recognizer, events, started } = startRecognizer({
+    frameSource,
+    loadModel: async () => { throw new Error('404'); }
+  });
+  await started;
+
+  assert.deepEqual(events.errors, [MODEL_UNAVAILABLE]);
+  assert.equal(events.ends, 1);
+  assert.equal(events.starts, 0);
+  assert.equal(frameSource.started, false);
+  assert.equal(recognizer.isRunning, false);
+});
+
+test('stop() fecha a origem de áudio', async () => {
+  const frameSource = createFrameSource();
+  const { recognizer, events, started } = startRecognizer({ model: createModel({}), frameSource });
+  await started;
+
+  recognizer.stop();
+  assert.equal(frameSource.started, false);
+  assert.equal(events.ends, 1);
+});
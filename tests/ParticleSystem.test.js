@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ParticleSystem } from '../src/classes/ParticleSystem.js';
+import { qualityPresets } from '../src/classes/QualityPresets.js';
+
+test('limita os anéis ao nível de qualidade, substituindo os mais antigos', () => {
+  const scene = new THREE.Scene();
+  const particles = new ParticleSystem(scene);
+  particles.maxRings = qualityPresets.baixa.maxRings;
+
+  for (let i = 0; i < 10; i++) {
+    particles.emitRing(new THREE.Vector3(i, 0, 0), 5);
+  }
+
+  assert.equal(particles.rings.length, qualityPresets.baixa.maxRings);
+  assert.equal(scene.children.length, qualityPresets.baixa.maxRings);
+  // Ficam os últimos emitidos
+  assert.equal(particles.rings.at(-1).mesh.position.x, 9);
+  assert.equal(particles.rings[0].mesh.position.x, 10 - qualityPresets.baixa.maxRings);
+});
+
+test('anéis não consomem o limite de partículas', () => {
+  const scene = new THREE.Scene();
+  const particles = new ParticleSystem(scene);
+  particles.maxParticles = 10;
+  particles.maxRings = 2;
+
+  particles.emitRing(new THREE.Vector3(), 5);
+  particles.emit(new THREE.Vector3(), 'fire', 20);
+
+  assert.equal(particles.particles.length, 10);
+  assert.equal(particles.rings.length, 1);
+});
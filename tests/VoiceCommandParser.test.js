@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceCommandParser } from '../src/classes/VoiceCommandParser.js';
+import { SpellRegistry } from '../src/classes/SpellRegistry.js';
+import { getVocabularyPack } from '../src/classes/VocabularyPacks.js';
+
+// Parser com o vocabulário do jogo para o idioma do reconhecimento
+function createParser(language) {
+  const pack = getVocabularyPack(language);
+  const registry = new SpellRegistry();
+  registry.setVocabulary(pack);
+  const parser = new VoiceCommandParser(registry.getAll());
+  parser.setFillerWords(pack.fillerWords);
+  return parser;
+}
+
+test('reconhece comandos falados em português', () => {
+  const parser = createParser('pt-BR');
+  assert.equal(parser.parse('fogo').spellId, 'fireball');
+  assert.equal(parser.parse('bola de fogo').spellId, 'fireball');
+  assert.equal(parser.parse('lança uma bola de fogo').spellId, 'fireball');
+  assert.equal(parser.parse('Gelo!').spellId, 'ice');
+  assert.equal(parser.parse('empurrão').spellId, 'push');
+  assert.equal(parser.parse('jato de água').spellId, 'water');
+});
+
+test('tolera pequenos erros de transcrição em palavras longas', () => {
+  const parser = createParser('pt-BR');
+  assert.equal(parser.parse('empurao').spellId, 'push');
+  assert.equal(parser.parse('gêlo').spellId, 'ice');
+});
+
+test('recupera trocas comuns do reconhecedor quando a confiança é alta', () => {
+  const parser = createParser('pt-BR');
+  const jogo = parser.parse([{ transcript: 'jogo', confidence: 0.9 }]);
+  assert.equal(jogo.spellId, 'fireball');
+  assert.ok(jogo.similarity < 0.9); // Abaixo de um casamento exato ou fonético
+  assert.equal(parser.parse([{ transcript: 'velo', confidence: 0.9 }]).spellId, 'ice');
+
+  // Com pouca confiança a troca não basta
+  assert.equal(parser.parse([{ transcript: 'jogo', confidence: 0.6 }]), null);
+  // Em meio a outras palavras é conversa, não comando
+  assert.equal(parser.parse([{ transcript: 'o jogo é legal', confidence: 0.9 }]), null);
+});
+
+test('extrai sequências de feitiços', () => {
+  const parser = createParser('pt-BR');
+  assert.deepEqual(parser.parseSequence('fogo gelo fogo').spellIds, ['fireball', 'ice', 'fireball']);
+  assert.deepEqual(parser.parseSequence('gelo e depois vapor').spellIds, ['ice', 'steam']);
+});
+
+test('ignora fala comum parecida com palavras mágicas', () => {
+  const parser = createParser('pt-BR');
+  for (const transcript of ['logo', 'o jogo é legal', 'pelo', 'selo', 'que legal', 'ela foi embora']) {
+    assert.equal(parser.parse(transcript), null, transcript);
+    assert.equal(parser.parseSequence(transcript), null, transcript);
+  }
+});
+
+test('ignora palavras parecidas em outros idiomas', () => {
+  const spanish = createParser('es-ES');
+  assert.equal(spanish.parse('fuego').spellId, 'fireball');
+  assert.equal(spanish.parse([{ transcript: 'juego', confidence: 0.6 }]), null);
+  assert.equal(spanish.parse('luego'), null);
+
+  const english = createParser('en-US');
+  assert.equal(english.parse('frost').spellId, 'ice');
+  assert.equal(english.parse('nice'), null);
+  assert.equal(english.parse('bush'), null);
+});
+
+test('descarta resultados com pontuação abaixo do mínimo', () => {
+  const parser = createParser('pt-BR');
+  // Confiança 0.5 × similaridade 0.9 = 0.45
+  assert.equal(parser.parse([{ transcript: 'empurao', confidence: 0.5 }]), null);
+  assert.equal(parser.parse([{ transcript: 'empurao', confidence: 0.9 }]).spellId, 'push');
+  assert.equal(parser.parse([{ transcript: 'fogo', confidence: 0.5 }]).spellId, 'fireball');
+});
+
+test('usa só as palavras do pacote do idioma', () => {
+  const portuguese = createParser('pt-BR');
+  assert.equal(portuguese.parse('fireball'), null);
+  assert.equal(portuguese.parse('cast the ice'), null);
+
+  const english = createParser('en-US');
+  assert.equal(english.parse('cast the fireball').spellId, 'fireball');
+  assert.equal(english.parse('fogo'), null);
+
+  // Sem pacote, o parser não conhece palavras de preenchimento
+  const bare = new VoiceCommandParser(new SpellRegistry().getAll());
+  assert.equal(bare.fillerWords.size, 0);
+  assert.equal(bare.parse('fogo').spellId, 'fireball');
+});